@@ -4,6 +4,11 @@
  * Handles glass morphism, advanced animations, complex data relationships
  */
 
+import { getDeclarations } from '../lib/apmlAst.js';
+import { getDataModels, generateSampleRecords } from '../lib/apmlFields.js';
+import { resolveTheme } from '../lib/apmlTheme.js';
+import { ComponentRenderer } from './ComponentRenderer.js';
+
 export class AdvancedAPMLCompiler {
   constructor() {
     this.compiledHTML = '';
@@ -11,9 +16,17 @@ export class AdvancedAPMLCompiler {
     this.compiledJS = '';
     this.styleDefinitions = new Map();
     this.animationDefinitions = new Map();
-    this.componentTree = [];
     this.dataModels = new Map();
     this.logicFlows = [];
+    this.stateNodes = [];
+    this.app = null;
+    this.theme = resolveTheme();
+    this.componentRenderer = new ComponentRenderer({
+      buttonAttributes: (name, interfaceName) => {
+        const flow = this.findButtonFlow(name, interfaceName);
+        return flow ? `onclick="navigateWithAdvancedAnimation('${flow.redirectTo}')"` : '';
+      }
+    });
   }
 
   /**
@@ -56,11 +69,15 @@ export class AdvancedAPMLCompiler {
    * Parse APML structure and extract components, styles, animations
    */
   parseAPMLStructure(apmlSpec) {
-    // Extract style definitions (if rawContent exists)
-    if (apmlSpec.rawContent) {
-      this.extractStyleDefinitions(apmlSpec.rawContent);
-      this.extractAnimationDefinitions(apmlSpec.rawContent);
-      this.extractDataModels(apmlSpec.rawContent);
+    // App header and theme
+    this.app = apmlSpec.app || null;
+    this.theme = this.app?.theme || resolveTheme();
+    
+    // Extract style definitions (if the spec has been parsed)
+    if (apmlSpec.ast) {
+      this.extractStyleDefinitions(apmlSpec.ast);
+      this.extractAnimationDefinitions(apmlSpec.ast);
+      this.extractDataModels(apmlSpec.ast);
     } else {
       // Use default glass morphism styles
       this.styleDefinitions.set('glass_morphism', {
@@ -77,148 +94,110 @@ export class AdvancedAPMLCompiler {
       this.dataModels = new Map();
     }
     
-    // Build component tree from interfaces
-    this.buildComponentTree(apmlSpec.stateNodes);
-    
-    // Process logic flows
+    // Screens with their element trees, and logic flows
+    this.stateNodes = apmlSpec.stateNodes || [];
     this.logicFlows = apmlSpec.parsedFlows || [];
   }
   
   /**
-   * Extract data models from APML content
+   * Extract data models from the APML AST
    */
-  extractDataModels(content) {
-    const dataRegex = /data\s+(\w+):(.*?)(?=data\s+\w+:|interface\s+\w+:|logic\s+\w+:|$)/gs;
-    let match;
-    
-    while ((match = dataRegex.exec(content)) !== null) {
-      const modelName = match[1];
-      const definition = match[2].trim();
-      
-      // Parse fields from definition
-      const fields = {};
-      const fieldLines = definition.split('\n').map(line => line.trim()).filter(line => line);
-      
-      for (const line of fieldLines) {
-        if (line.includes(':')) {
-          const [fieldName, fieldType] = line.split(':').map(s => s.trim());
-          fields[fieldName] = fieldType;
-        }
-      }
-      
-      this.dataModels.set(modelName, {
-        name: modelName,
-        fields: fields,
-        sampleData: this.generateSampleData(modelName, fields)
+  extractDataModels(ast) {
+    for (const model of getDataModels(ast)) {
+      this.dataModels.set(model.name, {
+        name: model.name,
+        fields: model.fields,
+        sampleData: this.generateSampleData(model)
       });
     }
-    
-    console.log('📊 Extracted data models:', this.dataModels);
   }
-  
+
   /**
-   * Generate sample data based on field types
+   * Generate sample data from the model's field descriptors
    */
-  generateSampleData(modelName, fields) {
-    if (modelName === 'Project') {
-      return [
-        {
-          id: 1,
-          title: 'Mobile App Redesign',
-          subtitle: 'Complete UI/UX overhaul for better user engagement',
-          icon: '📱',
-          progress: 68,
-          task_count: 24,
-          team_size: 6,
-          days_remaining: 12,
-          team_avatars: ['AS', 'JD', 'MK', '+3'],
-          priority: 'high'
-        },
-        {
-          id: 2,
-          title: 'AI Integration',
-          subtitle: 'Implementing smart features and automation',
-          icon: '🤖',
-          progress: 43,
-          task_count: 18,
-          team_size: 4,
-          days_remaining: 21,
-          team_avatars: ['RL', 'NK', 'TB', 'CW'],
-          priority: 'medium'
-        },
-        {
-          id: 3,
-          title: 'Security Audit',
-          subtitle: 'Comprehensive security review and improvements',
-          icon: '🔒',
-          progress: 89,
-          task_count: 31,
-          team_size: 8,
-          days_remaining: 5,
-          team_avatars: ['DM', 'SJ', 'LP', '+5'],
-          priority: 'high'
-        }
-      ];
-    }
-    
-    // For other models, generate basic sample data
-    return [
+  generateSampleData(model) {
+    // Curated demo content for the reference Project model; any other field is generated from its type
+    const presets = model.name === 'Project' ? [
       {
         id: 1,
-        name: `Sample ${modelName}`,
-        title: `Example ${modelName} Title`
-      }
-    ];
+        title: 'Mobile App Redesign',
+        subtitle: 'Complete UI/UX overhaul for better user engagement',
+        icon: '📱',
+        progress: 68,
+        task_count: 24,
+        team_size: 6,
+        days_remaining: 12,
+        team_avatars: ['AS', 'JD', 'MK', '+3'],
+        priority: 'high'
+      },
+      {
+        id: 2,
+        title: 'AI Integration',
+        subtitle: 'Implementing smart features and automation',
+        icon: '🤖',
+        progress: 43,
+        task_count: 18,
+        team_size: 4,
+        days_remaining: 21,
+        team_avatars: ['RL', 'NK', 'TB', 'CW'],
+        priority: 'medium'
+      },
+      {
+        id: 3,
+        title: 'Security Audit',
+        subtitle: 'Comprehensive security review and improvements',
+        icon: '🔒',
+        progress: 89,
+        task_count: 31,
+        team_size: 8,
+        days_remaining: 5,
+        team_avatars: ['DM', 'SJ', 'LP', '+5'],
+        priority: 'high'
+      }
+    ] : [];
+    
+    return generateSampleRecords(model, 3, presets);
   }
 
   /**
-   * Extract style definitions from APML
+   * Extract style definitions from "styles <name>:" blocks
    */
-  extractStyleDefinitions(content) {
-    const styleRegex = /styles\s+(\w+):\s*([\s\S]*?)(?=styles\s+\w+:|animations:|logic\s+\w+:|$)/g;
-    let match;
-    
-    while ((match = styleRegex.exec(content)) !== null) {
-      const styleName = match[1];
-      const styleContent = match[2].trim();
-      
-      const styleObject = this.parseStyleContent(styleContent);
-      this.styleDefinitions.set(styleName, styleObject);
-    }
+  extractStyleDefinitions(ast) {
+    getDeclarations(ast, 'block')
+      .filter(block => block.keyword === 'styles' && block.name)
+      .forEach(block => {
+        this.styleDefinitions.set(block.name, this.parseStyleProperties(block.properties));
+      });
     
     console.log('🎨 Extracted style definitions:', this.styleDefinitions);
   }
 
   /**
-   * Parse individual style content into CSS properties
+   * Parse style block properties into CSS properties
    */
-  parseStyleContent(content) {
+  parseStyleProperties(styleProperties) {
     const style = {
       extends: null,
       properties: {},
       states: {}
     };
     
-    const lines = content.split('\n').map(line => line.trim()).filter(line => line);
-    
-    for (const line of lines) {
-      if (line.startsWith('extends:')) {
-        style.extends = line.split(':')[1].trim();
-      } else if (line.includes(':')) {
-        const [property, value] = line.split(':').map(s => s.trim());
-        
+    for (const { key: property, value } of styleProperties) {
+      if (!value) continue;
+      
+      if (property === 'extends') {
+        style.extends = value;
+      } else if (property.includes('_')) {
         // Handle state-specific properties (hover_, active_, etc.)
-        if (property.includes('_')) {
-          const [state, prop] = property.split('_', 2);
-          if (['hover', 'active', 'focus'].includes(state)) {
-            if (!style.states[state]) style.states[state] = {};
-            style.states[state][this.cssProperty(prop)] = this.cssValue(value);
-          } else {
-            style.properties[this.cssProperty(property)] = this.cssValue(value);
-          }
+        const [state, prop] = property.split('_', 2);
+        if (['hover', 'active', 'focus'].includes(state)) {
+          if (!style.states[state]) style.states[state] = {};
+          style.states[state][this.cssProperty(prop)] = this.cssValue(value);
         } else {
           style.properties[this.cssProperty(property)] = this.cssValue(value);
         }
+      } else {
+        style.properties[this.cssProperty(property)] = this.cssValue(value);
       }
     }
     
@@ -260,33 +239,24 @@ export class AdvancedAPMLCompiler {
   }
 
   /**
-   * Extract animation definitions
+   * Extract animation definitions from the "animations:" block
    */
-  extractAnimationDefinitions(content) {
-    const animationRegex = /animations:\s*([\s\S]*?)(?=styles\s+\w+:|logic\s+\w+:|$)/g;
-    const match = animationRegex.exec(content);
-    
-    if (match) {
-      const animationContent = match[1];
-      const animationBlocks = animationContent.split(/(?=\w+:)/);
-      
-      for (const block of animationBlocks) {
-        if (block.trim()) {
-          const [name, ...content] = block.split(':');
-          if (name && content.length > 0) {
-            this.animationDefinitions.set(name.trim(), this.parseAnimationContent(content.join(':').trim()));
-          }
-        }
-      }
-    }
+  extractAnimationDefinitions(ast) {
+    getDeclarations(ast, 'block')
+      .filter(block => block.keyword === 'animations')
+      .forEach(block => {
+        block.properties.forEach(animation => {
+          this.animationDefinitions.set(animation.key, this.parseAnimationProperties(animation.children));
+        });
+      });
     
     console.log('🎬 Extracted animation definitions:', this.animationDefinitions);
   }
 
   /**
-   * Parse animation content into CSS keyframes
+   * Parse animation properties into CSS keyframes
    */
-  parseAnimationContent(content) {
+  parseAnimationProperties(animationProperties) {
     const animation = {
       keyframes: {},
       duration: '0.3s',
@@ -294,18 +264,16 @@ export class AdvancedAPMLCompiler {
       iteration: '1'
     };
     
-    const lines = content.split('\n').map(line => line.trim()).filter(line => line);
-    
-    for (const line of lines) {
-      if (line.includes(':')) {
-        const [property, value] = line.split(':').map(s => s.trim());
-        
-        if (property === 'from' || property === 'to' || property.includes('%')) {
-          // Keyframe definition
-          animation.keyframes[property] = this.parseKeyframeProperties(value);
-        } else if (['duration', 'easing', 'iteration'].includes(property)) {
-          animation[property] = this.cssValue(value);
-        }
+    for (const { key: property, value, children } of animationProperties) {
+      if (property === 'from' || property === 'to' || property.includes('%')) {
+        // Keyframe definition
+        animation.keyframes[property] = this.parseKeyframeProperties(children);
+      } else if (property === 'keyframes') {
+        children.forEach(keyframe => {
+          animation.keyframes[keyframe.key] = { transform: this.cssValue(keyframe.value || '') };
+        });
+      } else if (['duration', 'easing', 'iteration'].includes(property) && value) {
+        animation[property] = this.cssValue(value);
       }
     }
     
@@ -315,103 +283,18 @@ export class AdvancedAPMLCompiler {
   /**
    * Parse keyframe properties
    */
-  parseKeyframeProperties(content) {
+  parseKeyframeProperties(keyframeProperties) {
     const properties = {};
     
-    // Handle simple transform values
-    if (content.includes('translateY') || content.includes('scale') || content.includes('rotate')) {
-      properties.transform = this.cssValue(content);
-    } else if (content.includes('opacity')) {
-      properties.opacity = this.cssValue(content.split('opacity')[1].trim());
+    for (const { key, value } of keyframeProperties) {
+      if (value) {
+        properties[this.cssProperty(key)] = this.cssValue(value);
+      }
     }
     
     return properties;
   }
 
-  /**
-   * Build component tree from state nodes
-   */
-  buildComponentTree(stateNodes) {
-    this.componentTree = stateNodes.map(node => ({
-      id: node.id,
-      name: node.interfaceName,
-      components: this.parseInterfaceComponents(node),
-      layout: 'mobile_app',
-      animations: []
-    }));
-    
-    console.log('🏗️ Built component tree:', this.componentTree);
-  }
-
-  /**
-   * Parse interface components from node data
-   */
-  parseInterfaceComponents(node) {
-    // This would normally parse the APML interface definition
-    // For now, return a basic structure
-    return [
-      {
-        type: 'status_bar',
-        style: 'glass_dark',
-        children: [
-          { type: 'time', content: 'dynamic_time' },
-          { type: 'icons', content: ['signal', 'wifi', 'battery'] }
-        ]
-      },
-      {
-        type: 'app_header',
-        style: 'glass_morphism',
-        children: [
-          { type: 'title', content: node.interfaceName },
-          { type: 'actions', children: [] }
-        ]
-      },
-      {
-        type: 'main_content',
-        style: 'scrollable',
-        children: this.generateContentForInterface(node.interfaceName)
-      }
-    ];
-  }
-
-  /**
-   * Generate content based on interface type
-   */
-  generateContentForInterface(interfaceName) {
-    switch (interfaceName) {
-      case 'dashboard':
-      case 'welcome_screen':
-        return [
-          {
-            type: 'projects_grid',
-            style: 'vertical_stack',
-            animation: 'staggered_fade_in',
-            children: [
-              { type: 'project_card', style: 'glass_morphism_card', data: 'projects' }
-            ]
-          }
-        ];
-      
-      case 'project_detail':
-      case 'task_list':
-        return [
-          {
-            type: 'task_sections',
-            style: 'vertical_stack',
-            animation: 'staggered_slide_in',
-            children: [
-              { type: 'task_section', style: 'glass_section', data: 'tasks' }
-            ]
-          }
-        ];
-      
-      default:
-        return [
-          { type: 'default_content', content: `Interface: ${interfaceName}` }
-        ];
-    }
-  }
-
   /**
    * Generate advanced CSS with glass morphism and animations
    */
@@ -426,10 +309,10 @@ export class AdvancedAPMLCompiler {
       }
       
       html, body {
-        width: 390px;
-        height: 844px;
-        max-width: 390px;
-        max-height: 844px;
+        width: ${this.theme.width}px;
+        height: ${this.theme.height}px;
+        max-width: ${this.theme.width}px;
+        max-height: ${this.theme.height}px;
         overflow: hidden;
         font-family: -apple-system, BlinkMacSystemFont, 'SF Pro Display', 'Segoe UI', Roboto, sans-serif;
         position: fixed;
@@ -441,12 +324,7 @@ export class AdvancedAPMLCompiler {
         -moz-osx-font-smoothing: grayscale;
         font-size: 14px;
         line-height: 1.4;
-        background: linear-gradient(135deg, 
-          #667eea 0%, 
-          #764ba2 25%, 
-          #f093fb 50%, 
-          #f5576c 75%, 
-          #4facfe 100%);
+        background: ${this.theme.primaryGradient};
         background-size: 400% 400%;
         animation: gradientShift 20s ease infinite;
       }
@@ -458,8 +336,8 @@ export class AdvancedAPMLCompiler {
       }
       
       #app {
-        width: 390px;
-        height: 844px;
+        width: ${this.theme.width}px;
+        height: ${this.theme.height}px;
         position: relative;
         overflow: hidden;
         border-radius: 41px;
@@ -469,11 +347,11 @@ export class AdvancedAPMLCompiler {
         position: absolute;
         top: 0;
         left: 0;
-        width: 390px;
-        height: 844px;
+        width: ${this.theme.width}px;
+        height: ${this.theme.height}px;
         display: none;
         flex-direction: column;
-        transition: all 0.6s cubic-bezier(0.16, 1, 0.3, 1);
+        transition: all 0.6s ${this.theme.animationStyle};
         transform: translateX(100%);
         opacity: 0;
       }
@@ -500,6 +378,7 @@ export class AdvancedAPMLCompiler {
     
     // Add component-specific styles
     css += this.generateComponentStyles();
+    css += this.componentRenderer.generateCSS();
     
     this.compiledCSS = css;
   }
@@ -693,7 +572,7 @@ export class AdvancedAPMLCompiler {
         align-items: center;
         justify-content: center;
         cursor: pointer;
-        transition: all 0.3s cubic-bezier(0.16, 1, 0.3, 1);
+        transition: all 0.3s ${this.theme.animationStyle};
         box-shadow: 
           0 4px 12px rgba(0, 0, 0, 0.1),
           inset 0 1px 0 rgba(255, 255, 255, 0.2);
@@ -728,7 +607,7 @@ export class AdvancedAPMLCompiler {
         position: relative;
         overflow: hidden;
         cursor: pointer;
-        transition: all 0.4s cubic-bezier(0.16, 1, 0.3, 1);
+        transition: all 0.4s ${this.theme.animationStyle};
         transform: translateY(0);
         background: rgba(255, 255, 255, 0.15);
         backdrop-filter: blur(20px);
@@ -824,7 +703,7 @@ export class AdvancedAPMLCompiler {
         height: 100%;
         background: linear-gradient(90deg, rgba(255, 255, 255, 0.8), rgba(255, 255, 255, 0.6));
         border-radius: 3px;
-        transition: width 0.6s cubic-bezier(0.16, 1, 0.3, 1);
+        transition: width 0.6s ${this.theme.animationStyle};
         box-shadow: 0 0 8px rgba(255, 255, 255, 0.3);
       }
       
@@ -869,7 +748,7 @@ export class AdvancedAPMLCompiler {
         align-items: center;
         justify-content: center;
         cursor: pointer;
-        transition: all 0.4s cubic-bezier(0.16, 1, 0.3, 1);
+        transition: all 0.4s ${this.theme.animationStyle};
         box-shadow: 
           0 8px 25px rgba(0, 0, 0, 0.15),
           inset 0 1px 0 rgba(255, 255, 255, 0.2);
@@ -911,7 +790,7 @@ export class AdvancedAPMLCompiler {
         border: none;
         color: rgba(255, 255, 255, 0.6);
         cursor: pointer;
-        transition: all 0.3s cubic-bezier(0.16, 1, 0.3, 1);
+        transition: all 0.3s ${this.theme.animationStyle};
         padding: 8px 12px;
         border-radius: 16px;
       }
@@ -939,11 +818,11 @@ export class AdvancedAPMLCompiler {
       }
       
       .animate-fade-in-up {
-        animation: fadeInUp 0.6s cubic-bezier(0.16, 1, 0.3, 1);
+        animation: fadeInUp 0.6s ${this.theme.animationStyle};
       }
       
       .animate-slide-in-right {
-        animation: slideInRight 0.6s cubic-bezier(0.16, 1, 0.3, 1);
+        animation: slideInRight 0.6s ${this.theme.animationStyle};
       }
       
       .animate-float {
@@ -1106,7 +985,7 @@ export class AdvancedAPMLCompiler {
         align-items: center;
         justify-content: center;
         cursor: pointer;
-        transition: all 0.3s cubic-bezier(0.16, 1, 0.3, 1);
+        transition: all 0.3s ${this.theme.animationStyle};
       }
       
       .back-btn:hover {
@@ -1212,38 +1091,28 @@ export class AdvancedAPMLCompiler {
   }
 
   /**
-   * Generate semantic HTML structure
+   * Generate semantic HTML structure: one screen per interface, the first one active
    */
   generateSemanticHTML() {
     let html = '<div id="app">';
     
-    // Generate all interfaces found in the APML
-    const interfaces = ['dashboard', 'project_detail', 'create_project'];
-    
-    for (const interfaceName of interfaces) {
-      const isActive = interfaceName === 'dashboard';
+    this.stateNodes.forEach((node, index) => {
       html += `
-        <div class="screen ${isActive ? 'active' : ''}" id="${interfaceName}">
-          ${this.generateInterfaceHTML(interfaceName)}
+        <div class="screen ${index === 0 ? 'active' : ''}" id="${node.interfaceName}">
+          ${this.generateInterfaceHTML(node)}
         </div>
       `;
-    }
-    
-    // Add bottom navigation (global)
-    html += this.generateBottomNavigation();
+    });
     
     html += '</div>';
     this.compiledHTML = html;
   }
   
   /**
-   * Generate HTML for specific interface
+   * The status bar, header and rendered element tree of one screen
    */
-  generateInterfaceHTML(interfaceName) {
-    let html = '';
-    
-    // Status bar (common to all)
-    html += `
+  generateInterfaceHTML(node) {
+    return `
       <div class="status-bar">
         <div class="status-time">22:08</div>
         <div class="status-icons">
@@ -1252,339 +1121,33 @@ export class AdvancedAPMLCompiler {
           <span>🔋</span>
         </div>
       </div>
-    `;
-    
-    // Interface-specific content
-    switch (interfaceName) {
-      case 'dashboard':
-        html += this.generateDashboardHTML();
-        break;
-      case 'project_detail':
-        html += this.generateProjectDetailHTML();
-        break;
-      case 'create_project':
-        html += this.generateCreateProjectHTML();
-        break;
-    }
-    
-    return html;
-  }
-  
-  /**
-   * Generate dashboard interface HTML
-   */
-  generateDashboardHTML() {
-    return `
-      <div class="app-header">
-        <div class="header-title">Zenflow</div>
-        <div class="header-actions">
-          <button class="header-btn ripple">🔍</button>
-          <button class="header-btn ripple">👤</button>
-        </div>
-      </div>
-      
-      <div class="main-content">
-        ${this.generateProjectsGrid()}
-      </div>
-      
-      <button class="fab animate-float" onclick="showCreateProject()">
-        <span style="font-size: 24px;">+</span>
-      </button>
-    `;
-  }
-  
-  /**
-   * Generate project detail interface HTML
-   */
-  generateProjectDetailHTML() {
-    return `
-      <div class="app-header">
-        <div class="task-header">
-          <button class="back-btn" onclick="showDashboard()">
-            <span>←</span>
-          </button>
-          <div class="task-info">
-            <div class="task-title">Project Details</div>
-            <div class="task-meta">Tasks and Progress</div>
-          </div>
-        </div>
-      </div>
       
-      <div class="main-content">
-        <div class="task-sections">
-          <div class="section glass animate-slide-in-right" style="animation-delay: 0.1s">
-            <div class="section-title">
-              <span>🔥</span>
-              Project Overview
-            </div>
-            <div class="subtasks">
-              <div class="subtask">
-                <div class="subtask-text">This is the project detail view</div>
-              </div>
-              <div class="subtask">  
-                <div class="subtask-text">Navigate back to see the dashboard</div>
-              </div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-  }
-  
-  /**
-   * Generate create project interface HTML
-   */
-  generateCreateProjectHTML() {
-    return `
       <div class="app-header">
-        <div class="task-header">
-          <button class="back-btn" onclick="showDashboard()">
-            <span>✕</span>
-          </button>
-          <div class="task-info">
-            <div class="task-title">New Project</div>
-            <div class="task-meta">Create something amazing</div>
-          </div>
-        </div>
+        <div class="header-title">${this.componentRenderer.humanize(node.interfaceName)}</div>
       </div>
       
       <div class="main-content">
-        <div class="form-container">
-          <div class="form-group">
-            <label>Project Name</label>
-            <input type="text" placeholder="Enter project name..." class="form-input" />
-          </div>
-          <div class="form-group">
-            <label>Description</label>
-            <textarea placeholder="Project description..." class="form-textarea" rows="3"></textarea>
-          </div>
-        </div>
-      </div>
-      
-      <div class="screen-actions">
-        <button class="btn-primary" onclick="showDashboard()">
-          <span>💾</span> Create Project
-        </button>
+        ${this.componentRenderer.renderScreen(node.elements, this.getPreviewModels(), node.interfaceName)}
       </div>
     `;
   }
 
   /**
-   * Generate HTML for individual components
+   * The navigating flow for a button on an interface - flows bound to
+   * another interface's button of the same name don't apply
    */
-  generateComponentHTML(component) {
-    let html = '';
-    
-    for (const comp of component.components) {
-      html += this.generateElementHTML(comp);
-    }
-    
-    return html;
+  findButtonFlow(buttonName, interfaceName) {
+    return this.logicFlows.find(flow =>
+      flow.buttonName === buttonName &&
+      flow.redirectTo &&
+      (!flow.fromInterface || flow.fromInterface === interfaceName));
   }
 
   /**
-   * Generate HTML for a single element
+   * Preview records for every data model, keyed by model name
    */
-  generateElementHTML(element) {
-    const className = element.style ? element.style.replace(/_/g, '-') : '';
-    const animationClass = element.animation ? `animate-${element.animation.replace(/_/g, '-')}` : '';
-    const classes = [className, animationClass].filter(c => c).join(' ');
-    
-    switch (element.type) {
-      case 'status_bar':
-        return `
-          <div class="${classes} status-bar">
-            <div class="status-time">9:41</div>
-            <div class="status-icons">
-              <span>📶</span>
-              <span>📶</span>
-              <span>🔋</span>
-            </div>
-          </div>
-        `;
-      
-      case 'app_header':
-        return `
-          <div class="${classes} app-header">
-            <div class="header-title">${element.children?.[0]?.content || 'App'}</div>
-            <div class="header-actions">
-              <button class="header-btn ripple">🔍</button>
-              <button class="header-btn ripple">👤</button>
-            </div>
-          </div>
-        `;
-      
-      case 'main_content':
-        let contentHTML = '<div class="main-content">';
-        if (element.children) {
-          for (const child of element.children) {
-            contentHTML += this.generateElementHTML(child);
-          }
-        }
-        contentHTML += '</div>';
-        return contentHTML;
-      
-      case 'projects_grid':
-        return this.generateProjectsGrid();
-      
-      case 'task_sections':
-        return this.generateTaskSections();
-      
-      default:
-        return `<div class="${classes}">${element.content || ''}</div>`;
-    }
-  }
-
-  /**
-   * Generate projects grid HTML
-   */
-  generateProjectsGrid() {
-    return `
-      <div class="projects-grid">
-        <div class="project-card glass animate-fade-in-up" onclick="showProject('mobile-app')" style="animation-delay: 0.1s">
-          <div class="project-content">
-            <div class="project-icon">📱</div>
-            <div class="project-title">Mobile App Redesign</div>
-            <div class="project-subtitle">Complete UI/UX overhaul for better user engagement</div>
-            
-            <div class="project-stats">
-              <div class="stat">
-                <div class="stat-number">24</div>
-                <div class="stat-label">Tasks</div>
-              </div>
-              <div class="stat">
-                <div class="stat-number">6</div>
-                <div class="stat-label">Team</div>
-              </div>
-              <div class="stat">
-                <div class="stat-number">12</div>
-                <div class="stat-label">Days</div>
-              </div>
-            </div>
-            
-            <div class="progress-bar">
-              <div class="progress-fill" style="width: 68%"></div>
-            </div>
-            
-            <div class="team-avatars">
-              <div class="avatar">AS</div>
-              <div class="avatar">JD</div>
-              <div class="avatar">MK</div>
-              <div class="avatar">+3</div>
-            </div>
-          </div>
-        </div>
-        
-        <div class="project-card glass animate-fade-in-up" onclick="showProject('ai-integration')" style="animation-delay: 0.2s">
-          <div class="project-content">
-            <div class="project-icon">🤖</div>
-            <div class="project-title">AI Integration</div>
-            <div class="project-subtitle">Implementing smart features and automation</div>
-            
-            <div class="project-stats">
-              <div class="stat">
-                <div class="stat-number">18</div>
-                <div class="stat-label">Tasks</div>
-              </div>
-              <div class="stat">
-                <div class="stat-number">4</div>
-                <div class="stat-label">Team</div>
-              </div>
-              <div class="stat">
-                <div class="stat-number">21</div>
-                <div class="stat-label">Days</div>
-              </div>
-            </div>
-            
-            <div class="progress-bar">
-              <div class="progress-fill" style="width: 43%"></div>
-            </div>
-            
-            <div class="team-avatars">
-              <div class="avatar">RL</div>
-              <div class="avatar">NK</div>
-              <div class="avatar">TB</div>
-              <div class="avatar">CW</div>
-            </div>
-          </div>
-        </div>
-      </div>
-      
-      <button class="fab animate-float" onclick="showCreateProject()">
-        <span style="font-size: 24px;">+</span>
-      </button>
-    `;
-  }
-
-  /**
-   * Generate task sections HTML
-   */
-  generateTaskSections() {
-    return `
-      <div class="task-sections">
-        <div class="section glass animate-slide-in-right" style="animation-delay: 0.1s">
-          <div class="section-title">
-            <span>🔥</span>
-            High Priority
-            <div class="priority-high">Urgent</div>
-          </div>
-          <div class="subtasks">
-            <div class="subtask">
-              <div class="subtask-checkbox checked"></div>
-              <div class="subtask-text completed">Complete user research analysis</div>
-            </div>
-            <div class="subtask">
-              <div class="subtask-checkbox"></div>
-              <div class="subtask-text">Design new onboarding flow</div>
-            </div>
-          </div>
-        </div>
-        
-        <div class="section glass animate-slide-in-right" style="animation-delay: 0.2s">
-          <div class="section-title">
-            <span>⚡</span>
-            In Progress
-            <div class="priority-medium">Active</div>
-          </div>
-          <div class="subtasks">
-            <div class="subtask">
-              <div class="subtask-checkbox"></div>
-              <div class="subtask-text">Implement new navigation system</div>
-            </div>
-            <div class="subtask">
-              <div class="subtask-checkbox"></div>
-              <div class="subtask-text">Create component library</div>
-            </div>
-          </div>
-        </div>
-      </div>
-    `;
-  }
-
-  /**
-   * Generate bottom navigation
-   */
-  generateBottomNavigation() {
-    return `
-      <div class="bottom-nav glass-dark">
-        <button class="nav-item active ripple" onclick="showDashboard()">
-          <div class="nav-icon">🏠</div>
-          <div class="nav-label">Home</div>
-        </button>
-        <button class="nav-item ripple" onclick="showTasks()">
-          <div class="nav-icon">✓</div>
-          <div class="nav-label">Tasks</div>
-        </button>
-        <button class="nav-item ripple" onclick="showAnalytics()">
-          <div class="nav-icon">📊</div>
-          <div class="nav-label">Analytics</div>
-        </button>
-        <button class="nav-item ripple" onclick="showTeam()">
-          <div class="nav-icon">👥</div>
-          <div class="nav-label">Team</div>
-        </button>
-      </div>
-    `;
+  getPreviewModels() {
+    return Object.fromEntries([...this.dataModels].map(([name, model]) => [name, model.sampleData]));
   }
 
   /**
@@ -1593,20 +1156,12 @@ export class AdvancedAPMLCompiler {
   generateIntelligentJS() {
     const flowMap = this.createAdvancedFlowMap();
     
-    // Generate data from parsed APML models
-    const projectData = this.dataModels.has('Project') ? this.dataModels.get('Project').sampleData : [];
-    const taskData = this.dataModels.has('Task') ? this.dataModels.get('Task').sampleData : [];
-    
     this.compiledJS = `
       // Advanced APML Compiled Application Runtime - Generated from APML Data Models
-      let currentState = 'dashboard';
-      let appData = {
-        projects: ${JSON.stringify(projectData, null, 2)},
-        tasks: ${JSON.stringify(taskData, null, 2)},
-        currentProject: null
-      };
+      let currentState = ${JSON.stringify(this.stateNodes[0]?.interfaceName || null)};
+      const models = ${JSON.stringify(this.getPreviewModels(), null, 2)};
       
-      console.log('📊 APML Data Models loaded:', appData);
+      console.log('📊 APML Data Models loaded:', models);
 
       // Advanced flow mapping
       const flows = ${JSON.stringify(flowMap, null, 2)};
@@ -1623,9 +1178,6 @@ export class AdvancedAPMLCompiler {
         if (flow) {
           console.log('✅ Executing flow: ' + currentState + ' --[' + action + ']--> ' + flow.redirectTo);
           
-          // Execute pre-transition logic
-          executePreTransitionLogic(action, flow);
-          
           // Navigate with advanced animations
           navigateWithAdvancedAnimation(flow.redirectTo, flow.animation);
           
@@ -1637,18 +1189,6 @@ export class AdvancedAPMLCompiler {
         }
       }
 
-      function executePreTransitionLogic(action, flow) {
-        // Handle complex state changes
-        switch (action) {
-          case 'show_project':
-            appData.currentProject = appData.projects[0]; // In real app, get from clicked project
-            break;
-          case 'toggle_task':
-            // Handle task completion logic
-            break;
-        }
-      }
-
       function navigateWithAdvancedAnimation(newState, animationType = 'slide_right') {
         console.log(\`🔄 Attempting navigation from \${currentState} to \${newState}\`);
         
@@ -1697,7 +1237,6 @@ export class AdvancedAPMLCompiler {
           timestamp: new Date().toISOString(),
           framework: 'advanced_apml',
           data: {
-            currentProject: appData.currentProject,
             transitionType: 'advanced_animation'
           }
         };
@@ -1709,26 +1248,6 @@ export class AdvancedAPMLCompiler {
         }
       }
 
-      // Advanced interaction handlers - Generated from APML Logic Flows
-      function showDashboard() { 
-        console.log('🏠 Navigating to dashboard');
-        handleAction('show_dashboard'); 
-      }
-      
-      function showProject(projectId) { 
-        console.log('📱 Navigating to project detail:', projectId);
-        handleAction('show_project_detail'); 
-      }
-      
-      function showCreateProject() { 
-        console.log('➕ Navigating to create project');
-        handleAction('show_create_project'); 
-      }
-      
-      function showTasks() { handleAction('show_tasks'); }
-      function showAnalytics() { handleAction('show_analytics'); }
-      function showTeam() { handleAction('show_team'); }
-
       // Initialize advanced app
       document.addEventListener('DOMContentLoaded', function() {
         console.log('🚀 Advanced APML App Initialized with Glass Morphism');
@@ -1757,59 +1276,33 @@ export class AdvancedAPMLCompiler {
 
       // Expose functions globally
       window.handleAction = handleAction;
-      window.showDashboard = showDashboard;
-      window.showProject = showProject;
-      window.showCreateProject = showCreateProject;
-      window.showTasks = showTasks;
-      window.showAnalytics = showAnalytics;
-      window.showTeam = showTeam;
+      window.navigateWithAdvancedAnimation = navigateWithAdvancedAnimation;
     `;
   }
 
   /**
-   * Create advanced flow map with animation metadata
+   * Flow map from the parsed APML logic flows: screen -> trigger -> destination
    */
   createAdvancedFlowMap() {
-    // Generate flow map from parsed APML logic flows
-    const flowMap = {
-      'dashboard': {
-        'show_project_detail': { 
-          redirectTo: 'project_detail', 
-          animation: 'slide_right',
-          transition: 'smooth'
-        },
-        'show_create_project': { 
-          redirectTo: 'create_project', 
-          animation: 'scale_up',
-          transition: 'modal'
-        }
-      },
-      'project_detail': {
-        'show_dashboard': { 
-          redirectTo: 'dashboard', 
-          animation: 'slide_left',
-          transition: 'smooth'
-        }
-      },
-      'create_project': {
-        'show_dashboard': { 
-          redirectTo: 'dashboard', 
-          animation: 'scale_down',
-          transition: 'smooth'
-        }
-      }
-    };
+    const flowMap = {};
     
-    // Add navigation flows for bottom nav
-    for (const screen of Object.keys(flowMap)) {
-      flowMap[screen]['show_tasks'] = { redirectTo: 'task_list', animation: 'slide_up' };
-      flowMap[screen]['show_analytics'] = { redirectTo: 'analytics', animation: 'slide_up' };
-      flowMap[screen]['show_team'] = { redirectTo: 'team', animation: 'slide_up' };
-    }
+    this.logicFlows
+      .filter(flow => flow.fromInterface && flow.redirectTo)
+      .forEach(flow => {
+        flowMap[flow.fromInterface] = flowMap[flow.fromInterface] || {};
+        flowMap[flow.fromInterface][flow.trigger] = { redirectTo: flow.redirectTo, animation: 'slide_right' };
+      });
     
     return flowMap;
   }
 
+  escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
   /**
    * Generate complete application HTML
    */
@@ -1818,8 +1311,8 @@ export class AdvancedAPMLCompiler {
 <html lang="en">
 <head>
     <meta charset="UTF-8">
-    <meta name="viewport" content="width=390, height=844, initial-scale=1.0, maximum-scale=1.0, user-scalable=no, viewport-fit=cover">
-    <title>Advanced APML Compiled App</title>
+    <meta name="viewport" content="width=${this.theme.width}, height=${this.theme.height}, initial-scale=1.0, maximum-scale=1.0, user-scalable=no, viewport-fit=cover">
+    <title>${this.escapeHTML(this.app?.title || 'Advanced APML Compiled App')}</title>
     <style>${this.compiledCSS}</style>
 </head>
 <body>
@@ -0,0 +1,411 @@
+/**
+ * APML Component Renderer
+ * Renders the typed element tree of an interface (see apmlElements.js) to
+ * HTML, so every compiler shows buttons, inputs, lists and reusable
+ * components the same way
+ */
+
+import { buildElementTree } from '../lib/apmlElements.js';
+import { evaluateQuery, resolveBinding } from '../lib/apmlQuery.js';
+
+// Properties that hold an element's displayed value, in order of preference
+const VALUE_PROPERTIES = ['text', 'number', 'value', 'emoji'];
+
+export class ComponentRenderer {
+  /**
+   * buttonAttributes(elementName, interfaceName) returns the extra attributes
+   * (click handler) a compiler's runtime needs on each button
+   */
+  constructor({ buttonAttributes = () => '' } = {}) {
+    this.buttonAttributes = buttonAttributes;
+  }
+
+  /**
+   * HTML for every element an interface shows; `models` maps model names to
+   * the preview records that queries run against
+   */
+  renderInterface(interfaceNode, models = {}) {
+    if (!interfaceNode) return '';
+    return this.renderScreen(buildElementTree(interfaceNode), models, interfaceNode.name);
+  }
+
+  /**
+   * HTML for an already built element tree (a state node's `elements`)
+   */
+  renderScreen(elements, models = {}, interfaceName = null) {
+    return this.renderElements(elements, { models, scope: {}, interfaceName });
+  }
+
+  renderElements(elements, context) {
+    return (elements || []).map(element => this.renderElement(element, context)).join('\n');
+  }
+
+  renderElement(element, context) {
+    switch (element.kind) {
+      case 'container':
+        return element.component ? this.renderInstance(element, context) : this.renderContainer(element, context);
+      case 'list':
+        return this.renderList(element, context);
+      case 'button':
+        return this.renderButton(element, context);
+      case 'input':
+        return this.renderInput(element, context);
+      case 'select':
+        return this.renderSelect(element, context);
+      case 'image':
+        return this.renderImage(element, context);
+      case 'stat':
+        return `
+      <div class="apml-component-stat" data-element="${element.name}">
+        <div class="apml-component-stat-number">${this.escapeHTML(this.formatValue(this.resolveValue(element, context)))}</div>
+        <div class="apml-component-label">${this.escapeHTML(this.labelOf(element, context))}</div>
+      </div>`;
+      case 'badge':
+        return `<span class="apml-component-badge" data-element="${element.name}">${this.escapeHTML(this.textOf(element, context))}</span>`;
+      case 'progress': {
+        const percent = Math.max(0, Math.min(100, Number(this.resolveValue(element, context)) || 0));
+        return `
+      <div class="apml-component-progress" data-element="${element.name}" title="${percent}%">
+        <div class="apml-component-progress-fill" style="width: ${percent}%"></div>
+      </div>`;
+      }
+      default:
+        return this.renderText(element, context);
+    }
+  }
+
+  renderInstance(element, context) {
+    return `
+      <div class="apml-component apml-component-${element.component}" data-component="${element.component}" data-element="${element.name}">
+        ${this.renderElements(element.children, context)}
+      </div>`;
+  }
+
+  /**
+   * A show block or grouping element: its title and description, then its children
+   */
+  renderContainer(element, context) {
+    const { title, subtitle, description } = element.properties;
+    const heading = title !== undefined
+      ? `<div class="apml-component-title">${this.escapeHTML(this.formatValue(resolveBinding(title, context)))}</div>`
+      : '';
+    const text = [subtitle, description].filter(value => value !== undefined)
+      .map(value => `<p class="apml-component-text">${this.escapeHTML(this.formatValue(resolveBinding(value, context)))}</p>`)
+      .join('');
+
+    return `
+      <div class="apml-component-group" data-element="${element.name}">
+        ${heading}${text}
+        ${this.renderElements(element.children, context)}
+      </div>`;
+  }
+
+  /**
+   * A `for each` loop renders its children once per result, with the loop
+   * variable (and index) bound; a list binding (Task[]) lists its records
+   */
+  renderList(element, context) {
+    const results = element.query ? evaluateQuery(element.query, context) : [];
+    const items = Array.isArray(results) ? results : [];
+
+    if (element.variable) {
+      return `
+      <div class="apml-component-list" data-element="${element.name}">
+        ${items.map((item, index) => {
+          const scope = { ...context.scope, [element.variable]: item, index };
+          return `<div class="apml-component-item">${this.renderElements(element.children, { ...context, scope })}</div>`;
+        }).join('')}
+      </div>`;
+    }
+
+    return `
+      <div class="apml-component-group" data-element="${element.name}">
+        <div class="apml-component-label">${this.escapeHTML(this.labelOf(element, context))}</div>
+        <ul class="apml-component-items">
+          ${items.map(item => `<li>${this.escapeHTML(this.formatValue(item))}</li>`).join('')}
+        </ul>
+      </div>`;
+  }
+
+  renderButton(element, context) {
+    const { icon } = element.properties;
+    const text = this.formatValue(this.resolveValue(element, context) ?? resolveBinding(element.properties.label, context));
+    const label = [icon !== undefined ? resolveBinding(icon, context) : '', text].filter(Boolean).join(' ') ||
+      this.humanize(element.name.replace(/_button$/, ''));
+
+    return `<button class="apml-component-button" data-element="${element.name}" data-action="${this.escapeHTML(element.action)}" ${this.buttonAttributes(element.name, context.interfaceName)}>${this.escapeHTML(label)}</button>`;
+  }
+
+  renderInput(element, context) {
+    const placeholder = this.escapeHTML(this.formatValue(resolveBinding(element.properties.placeholder ?? '', context)));
+    const value = this.escapeHTML(this.formatValue(this.resolveValue(element, context)));
+    const field = element.inputType === 'textarea'
+      ? `<textarea class="apml-component-input" name="${element.name}" rows="${Number(element.properties.rows) || 3}" placeholder="${placeholder}">${value}</textarea>`
+      : element.inputType === 'checkbox'
+        ? `<input type="checkbox" name="${element.name}"${resolveBinding(element.properties.checked, context) === true ? ' checked' : ''} />`
+        : `<input class="apml-component-input" type="${element.inputType}" name="${element.name}" placeholder="${placeholder}" value="${value}" />`;
+
+    return `
+      <label class="apml-component-field-input" data-element="${element.name}">
+        <span class="apml-component-label">${this.escapeHTML(this.labelOf(element, context))}</span>
+        ${field}
+      </label>`;
+  }
+
+  renderSelect(element, context) {
+    return `
+      <label class="apml-component-field-input" data-element="${element.name}">
+        <span class="apml-component-label">${this.escapeHTML(this.labelOf(element, context))}</span>
+        <select class="apml-component-input" name="${element.name}">
+          ${element.options.map(option => `<option>${this.escapeHTML(this.formatValue(option))}</option>`).join('')}
+        </select>
+      </label>`;
+  }
+
+  renderImage(element, context) {
+    const src = this.formatValue(resolveBinding(element.properties.src ?? element.value ?? '', context));
+    const alt = this.escapeHTML(this.formatValue(resolveBinding(element.properties.alt ?? '', context)) || this.humanize(element.name));
+
+    return src
+      ? `<img class="apml-component-image" data-element="${element.name}" src="${this.escapeHTML(src)}" alt="${alt}" />`
+      : `<div class="apml-component-image apml-component-image-empty" data-element="${element.name}">${alt}</div>`;
+  }
+
+  /**
+   * Text elements: a heading for title-like names, block text as written,
+   * a paragraph for descriptions and a labelled field otherwise
+   */
+  renderText(element, context) {
+    const value = this.formatValue(this.resolveValue(element, context));
+    const text = this.escapeHTML(value || this.humanize(element.name));
+
+    if (element.block) {
+      return `
+      <div class="apml-component-group" data-element="${element.name}">
+        <div class="apml-component-label">${this.escapeHTML(this.humanize(element.name))}</div>
+        <pre class="apml-component-block">${text}</pre>
+      </div>`;
+    }
+
+    if (['title', 'heading', 'header'].includes(element.name) || /_title$/.test(element.name)) {
+      return `<div class="apml-component-title" data-element="${element.name}">${text}</div>`;
+    }
+
+    if (['description', 'text', 'subtitle', 'message'].includes(element.name) || /_(text|subtitle|description)$/.test(element.name) ||
+        (element.properties.text !== undefined && element.properties.label === undefined)) {
+      return `<p class="apml-component-text" data-element="${element.name}">${text}</p>`;
+    }
+
+    return `
+      <div class="apml-component-field" data-element="${element.name}">
+        <span class="apml-component-label">${this.escapeHTML(this.labelOf(element, context))}</span>
+        <span class="apml-component-value">${text}</span>
+      </div>`;
+  }
+
+  /**
+   * An element's displayed value: block text as written, its query's result,
+   * or its text / number / value / emoji property or value resolved as a binding
+   */
+  resolveValue(element, context) {
+    if (element.block) return element.value;
+    if (element.query && !element.variable) return evaluateQuery(element.query, context);
+
+    const property = VALUE_PROPERTIES.find(key => element.properties[key] !== undefined);
+    return resolveBinding(property ? element.properties[property] : element.value ?? undefined, context);
+  }
+
+  textOf(element, context) {
+    return this.formatValue(this.resolveValue(element, context)) || this.humanize(element.name);
+  }
+
+  labelOf(element, context) {
+    const label = element.properties.label;
+    return label !== undefined
+      ? this.formatValue(resolveBinding(label, context))
+      : this.humanize(element.name.replace(/_(input|field|textarea|select|dropdown|picker)$/, ''));
+  }
+
+  /**
+   * Styles for rendered components; they inherit colours from the screen
+   */
+  generateCSS() {
+    return `
+      .apml-component {
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+        padding: 16px;
+        margin-bottom: 12px;
+        border-radius: 16px;
+        border: 1px solid rgba(127, 127, 127, 0.25);
+        background: rgba(255, 255, 255, 0.12);
+      }
+
+      .apml-component .apml-component {
+        margin-bottom: 0;
+      }
+
+      .apml-component-title {
+        font-size: 17px;
+        font-weight: 600;
+      }
+
+      .apml-component-text {
+        font-size: 14px;
+        opacity: 0.8;
+      }
+
+      .apml-component-block {
+        margin: 0;
+        font-size: 13px;
+        white-space: pre-wrap;
+      }
+
+      .apml-component-group {
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+      }
+
+      .apml-component-field {
+        display: flex;
+        justify-content: space-between;
+        gap: 12px;
+        font-size: 14px;
+      }
+
+      .apml-component-list {
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+      }
+
+      .apml-component-item {
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+        padding: 10px 12px;
+        border-radius: 12px;
+        background: rgba(127, 127, 127, 0.1);
+      }
+
+      .apml-component-items {
+        margin: 0;
+        padding-left: 18px;
+        font-size: 14px;
+      }
+
+      .apml-component-label {
+        font-size: 12px;
+        font-weight: 500;
+        opacity: 0.7;
+      }
+
+      .apml-component-button {
+        align-self: flex-start;
+        padding: 8px 16px;
+        border: none;
+        border-radius: 10px;
+        background: rgba(127, 127, 127, 0.2);
+        color: inherit;
+        font: inherit;
+        cursor: pointer;
+      }
+
+      .apml-component-field-input {
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+      }
+
+      .apml-component-input {
+        padding: 10px 12px;
+        border: 1px solid rgba(127, 127, 127, 0.3);
+        border-radius: 10px;
+        background: rgba(255, 255, 255, 0.6);
+        color: #1f2937;
+        font: inherit;
+        font-size: 14px;
+      }
+
+      .apml-component-image {
+        max-width: 100%;
+        border-radius: 12px;
+      }
+
+      .apml-component-image-empty {
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        min-height: 96px;
+        font-size: 12px;
+        background: rgba(127, 127, 127, 0.15);
+      }
+
+      .apml-component-stat {
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        gap: 2px;
+      }
+
+      .apml-component-stat-number {
+        font-size: 20px;
+        font-weight: 700;
+      }
+
+      .apml-component-badge {
+        align-self: flex-start;
+        padding: 2px 10px;
+        border-radius: 999px;
+        font-size: 12px;
+        font-weight: 600;
+        background: rgba(127, 127, 127, 0.2);
+      }
+
+      .apml-component-progress {
+        height: 6px;
+        border-radius: 3px;
+        overflow: hidden;
+        background: rgba(127, 127, 127, 0.2);
+      }
+
+      .apml-component-progress-fill {
+        height: 100%;
+        border-radius: 3px;
+        background: currentColor;
+      }
+    `;
+  }
+
+  /**
+   * Display text for a resolved value; records show their title or name
+   */
+  formatValue(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(item => this.formatValue(item)).join(', ');
+    if (typeof value === 'object') return String(value.title ?? value.name ?? value.id ?? '');
+    return String(value);
+  }
+
+  humanize(name) {
+    const words = name.replace(/_/g, ' ');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
+  /**
+   * Braces are escaped too so the markup can sit inside Svelte templates
+   */
+  escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/\{/g, '&#123;')
+      .replace(/\}/g, '&#125;');
+  }
+}
+
+export default ComponentRenderer;
@@ -4,6 +4,11 @@
  * This is the production-ready compiler for building sophisticated mobile apps
  */
 
+import { formatFieldType, getDataModels, generateSampleRecords } from '../lib/apmlFields.js';
+import { resolveTheme } from '../lib/apmlTheme.js';
+import { findEntryInterface } from '../lib/apmlRoles.js';
+import { ComponentRenderer } from './ComponentRenderer.js';
+
 export class SvelteAdvancedAPMLCompiler {
   constructor() {
     this.components = new Map();
@@ -14,16 +19,22 @@ export class SvelteAdvancedAPMLCompiler {
     this.dataModels = new Map();
     this.logicFlows = [];
     this.apmlSpec = null;
+    this.theme = resolveTheme();
+    this.componentRenderer = new ComponentRenderer({
+      buttonAttributes: (name, interfaceName) => {
+        const flow = this.findButtonFlow(name, interfaceName);
+        return flow ? `onclick="navigateToScreen('${flow.redirectTo}', '${name}', 'click', '${flow.processId}')"` : '';
+      }
+    });
   }
 
   /**
    * Main compilation entry point - generates a full Svelte app
    */
   compile(apmlSpec) {
-    console.log('🚀 Svelte Advanced APML Compiler: Building production app...');
-    
     try {
       this.apmlSpec = apmlSpec;
+      this.theme = apmlSpec.app?.theme || resolveTheme();
       
       // Parse APML structure
       this.parseAPMLStructure();
@@ -40,7 +51,6 @@ export class SvelteAdvancedAPMLCompiler {
       // Generate the complete Svelte application
       const svelteApp = this.generateCompleteSvelteApplication();
       
-      console.log('✨ Svelte Advanced compilation complete!');
       return {
         html: svelteApp,
         components: this.components,
@@ -58,102 +68,88 @@ export class SvelteAdvancedAPMLCompiler {
    * Parse APML structure and extract all necessary information
    */
   parseAPMLStructure() {
-    if (this.apmlSpec.rawContent) {
-      this.extractDataModels(this.apmlSpec.rawContent);
-      this.extractStyleDefinitions(this.apmlSpec.rawContent);
-      this.extractAnimationDefinitions(this.apmlSpec.rawContent);
+    if (this.apmlSpec.ast) {
+      this.extractDataModels(this.apmlSpec.ast);
+      this.extractStyleDefinitions(this.apmlSpec.ast);
+      this.extractAnimationDefinitions(this.apmlSpec.ast);
     }
     
     this.logicFlows = this.apmlSpec.parsedFlows || [];
-    
-    console.log('📊 Parsed APML structure:', {
-      dataModels: this.dataModels.size,
-      styleDefinitions: this.styleDefinitions.size,
-      logicFlows: this.logicFlows.length
-    });
   }
 
   /**
-   * Extract data models from APML content
+   * Extract data models from the APML AST
    */
-  extractDataModels(content) {
-    const dataRegex = /data\\s+(\\w+):(.*?)(?=data\\s+\\w+:|interface\\s+\\w+:|logic\\s+\\w+:|$)/gs;
-    let match;
-    
-    while ((match = dataRegex.exec(content)) !== null) {
-      const modelName = match[1];
-      const definition = match[2].trim();
-      
-      const fields = {};
-      const fieldLines = definition.split('\\n').map(line => line.trim()).filter(line => line);
-      
-      for (const line of fieldLines) {
-        if (line.includes(':')) {
-          const [fieldName, fieldType] = line.split(':').map(s => s.trim());
-          fields[fieldName] = fieldType;
-        }
-      }
-      
-      this.dataModels.set(modelName, {
-        name: modelName,
-        fields: fields,
-        sampleData: this.generateSampleData(modelName, fields)
+  extractDataModels(ast) {
+    for (const model of getDataModels(ast)) {
+      this.dataModels.set(model.name, {
+        name: model.name,
+        fields: model.fields,
+        sampleData: this.generateSampleData(model)
       });
     }
   }
 
   /**
-   * Generate sample data based on APML data model definitions
+   * Generate sample data from the model's field descriptors
    */
-  generateSampleData(modelName, fields) {
-    if (modelName === 'Project') {
-      return [
-        {
-          id: 1,
-          title: 'Mobile App Redesign',
-          subtitle: 'Complete UI/UX overhaul for better user engagement',
-          icon: '📱',
-          progress: 68,
-          task_count: 24,
-          team_size: 6,
-          days_remaining: 12,
-          team_avatars: ['AS', 'JD', 'MK', '+3'],
-          priority: 'high'
-        },
-        {
-          id: 2,
-          title: 'AI Integration',
-          subtitle: 'Implementing smart features and automation',
-          icon: '🤖',
-          progress: 43,
-          task_count: 18,
-          team_size: 4,
-          days_remaining: 21,
-          team_avatars: ['RL', 'NK', 'TB', 'CW'],
-          priority: 'medium'
-        },
-        {
-          id: 3,
-          title: 'Security Audit',
-          subtitle: 'Comprehensive security review and improvements',
-          icon: '🔒',
-          progress: 89,
-          task_count: 31,
-          team_size: 8,
-          days_remaining: 5,
-          team_avatars: ['DM', 'SJ', 'LP', '+5'],
-          priority: 'high'
-        }
-      ];
-    }
+  generateSampleData(model) {
+    // Curated demo content for the reference Project model; any other field is generated from its type
+    const presets = model.name === 'Project' ? [
+      {
+        id: 1,
+        title: 'Mobile App Redesign',
+        subtitle: 'Complete UI/UX overhaul for better user engagement',
+        icon: '📱',
+        progress: 68,
+        task_count: 24,
+        team_size: 6,
+        days_remaining: 12,
+        team_avatars: ['AS', 'JD', 'MK', '+3'],
+        priority: 'high'
+      },
+      {
+        id: 2,
+        title: 'AI Integration',
+        subtitle: 'Implementing smart features and automation',
+        icon: '🤖',
+        progress: 43,
+        task_count: 18,
+        team_size: 4,
+        days_remaining: 21,
+        team_avatars: ['RL', 'NK', 'TB', 'CW'],
+        priority: 'medium'
+      },
+      {
+        id: 3,
+        title: 'Security Audit',
+        subtitle: 'Comprehensive security review and improvements',
+        icon: '🔒',
+        progress: 89,
+        task_count: 31,
+        team_size: 8,
+        days_remaining: 5,
+        team_avatars: ['DM', 'SJ', 'LP', '+5'],
+        priority: 'high'
+      }
+    ] : [];
     
-    return [];
+    return generateSampleRecords(model, 3, presets);
+  }
+
+  /**
+   * Field type plus its modifiers, as written in a generated schema comment
+   */
+  describeField(field) {
+    const modifiers = ['required', 'unique', 'auto'].filter(modifier => field[modifier]);
+    if (field.hasDefault) modifiers.push(`default ${JSON.stringify(field.default)}`);
+    return [formatFieldType(field), ...modifiers].join(' ');
   }
 
   /**
    * Extract style definitions (simplified for now)
    */
-  extractStyleDefinitions(content) {
+  extractStyleDefinitions(ast) {
     // Add default glass morphism styles
     this.styleDefinitions.set('glass_morphism', {
       background: 'rgba(255, 255, 255, 0.15)',
@@ -166,7 +162,7 @@ export class SvelteAdvancedAPMLCompiler {
   /**
    * Extract animation definitions (simplified for now)
    */
-  extractAnimationDefinitions(content) {
+  extractAnimationDefinitions(ast) {
     this.animationDefinitions.set('fade_in_up', {
       from: { opacity: 0, transform: 'translateY(30px)' },
       to: { opacity: 1, transform: 'translateY(0)' },
@@ -186,11 +182,12 @@ import { writable, derived } from 'svelte/store';
 // Data stores
 ${Array.from(this.dataModels.entries()).map(([modelName, model]) => {
   const storeName = modelName.toLowerCase() + 's';
-  return `export const ${storeName} = writable(${JSON.stringify(model.sampleData, null, 2)});`;
+  const schema = model.fields.map(field => `${field.name}: ${this.describeField(field)}`).join(', ');
+  return `// ${modelName} { ${schema} }\nexport const ${storeName} = writable(${JSON.stringify(model.sampleData, null, 2)});`;
 }).join('\\n\\n')}
 
 // Navigation store
-export const currentScreen = writable('dashboard');
+export const currentScreen = writable(${JSON.stringify(findEntryInterface(this.apmlSpec.stateNodes)?.interfaceName || null)});
 export const screenHistory = writable([]);
 
 // App state store
@@ -233,740 +230,59 @@ export function goBack() {
   }
 
   /**
-   * Generate Svelte components for each interface
+   * Generate a Svelte component for each interface from its element tree
    */
   generateSvelteComponents() {
-    console.log('🔧 Generating Svelte components from APML interfaces...');
-    
-    // ROCK SOLID: Generate components for ALL interfaces in the APML spec
-    if (this.apmlSpec && this.apmlSpec.stateNodes) {
-      this.apmlSpec.stateNodes.forEach(stateNode => {
-        if (stateNode.interfaceName && stateNode.interfaceDefinition) {
-          console.log(`🎨 Generating component for interface: ${stateNode.interfaceName}`);
-          this.generateDynamicInterfaceComponent(stateNode);
-        }
-      });
-    } else {
-      console.warn('⚠️ No stateNodes found in APML spec, using fallback components');
-      // Fallback for backward compatibility
-      this.generateDashboardComponent();
-      this.generateProjectDetailComponent();
-      this.generateCreateProjectComponent();
-    }
-    
-    console.log(`✅ Generated ${this.components.size} Svelte components`);
-  }
-
-  /**
-   * ROCK SOLID: Generate a Svelte component for any APML interface
-   */
-  generateDynamicInterfaceComponent(stateNode) {
-    const interfaceName = stateNode.interfaceName;
-    const interfaceDefinition = stateNode.interfaceDefinition;
-    
-    console.log(`🎨 Building ${interfaceName} component...`);
-    
-    // Extract layout type and animation
-    const layout = this.extractProperty(interfaceDefinition, 'layout') || 'mobile_app';
-    const animation = this.extractProperty(interfaceDefinition, 'animation') || 'fade_in';
-    
-    // Extract all show blocks (UI elements)
-    const showBlocks = this.extractShowBlocks(interfaceDefinition);
-    
-    // Extract available actions (buttons, inputs, etc.)
-    const actions = stateNode.availableActions || [];
-    
-    // Generate the Svelte component
-    const component = `
+    this.apmlSpec.stateNodes.forEach(stateNode => {
+      const interfaceName = stateNode.interfaceName;
+      const component = `
 <script>
-  import { fade, fly, scale } from 'svelte/transition';
-  import { quintOut } from 'svelte/easing';
-  import { navigateToScreen, currentScreen } from './stores/appStores.js';
-  
-  // Component data
-  ${this.generateComponentData(interfaceDefinition)}
-  
-  // Navigation functions for all available actions
-  ${actions.map(action => this.generateActionFunction(action)).join('\n  ')}
+  import { fade } from 'svelte/transition';
+  import { navigateToScreen } from './stores/appStores.js';
 </script>
 
-<div class="interface-${interfaceName} ${layout}" 
-     in:${this.getAnimationTransition(animation)}>
-  
-  ${showBlocks.map(block => this.generateShowBlock(block, actions)).join('\n  ')}
-  
+<div class="screen ${interfaceName}" in:fade={{ duration: 300 }}>
+  ${this.generateScreenHTML(stateNode)}
 </div>
 
 <style>
-  .interface-${interfaceName} {
-    min-height: 100vh;
-    background: ${this.getInterfaceBackground(interfaceDefinition)};
-    ${this.getLayoutStyles(layout)}
-  }
-  
-  .mobile_app {
-    max-width: 390px;
-    margin: 0 auto;
-    position: relative;
-    overflow: hidden;
-    border-radius: 24px;
-    box-shadow: 0 20px 40px rgba(0, 0, 0, 0.3);
-  }
-  
-  ${this.generateGlassMorphismStyles()}
-  ${this.generateButtonStyles()}
-  ${this.generateTextStyles()}
+  ${this.generateGlassMorphismCSS()}
 </style>
     `;
-    
-    this.components.set(interfaceName, component);
-    this.routes.set(`/${interfaceName}`, interfaceName);
-    
-    console.log(`✅ Generated ${interfaceName} component with ${actions.length} actions`);
-  }
-
-  /**
-   * ROCK SOLID: Helper methods for parsing APML interface definitions
-   */
-  extractProperty(interfaceDefinition, propertyName) {
-    const regex = new RegExp(`${propertyName}:\\s*"([^"]+)"`, 'i');
-    const match = interfaceDefinition.match(regex);
-    return match ? match[1] : null;
-  }
-  
-  extractShowBlocks(interfaceDefinition) {
-    const showBlocks = [];
-    const showRegex = /show\s+(\w+):([\s\S]*?)(?=show\s+\w+:|$)/g;
-    let match;
-    
-    while ((match = showRegex.exec(interfaceDefinition)) !== null) {
-      const blockName = match[1];
-      const blockContent = match[2].trim();
       
-      showBlocks.push({
-        name: blockName,
-        content: blockContent,
-        type: this.determineBlockType(blockName, blockContent)
-      });
-    }
-    
-    return showBlocks;
-  }
-  
-  determineBlockType(blockName, blockContent) {
-    if (blockName.includes('header')) return 'header';
-    if (blockName.includes('status_bar')) return 'status_bar';
-    if (blockName.includes('content') || blockName.includes('main')) return 'content';
-    if (blockName.includes('action') || blockName.includes('fab')) return 'actions';
-    return 'general';
-  }
-  
-  generateComponentData(interfaceDefinition) {
-    // Extract dynamic data references from the interface
-    const dataReferences = [];
-    const dynamicRegex = /dynamic_(\w+)/g;
-    let match;
-    
-    while ((match = dynamicRegex.exec(interfaceDefinition)) !== null) {
-      dataReferences.push(match[1]);
-    }
-    
-    return dataReferences.length > 0 
-      ? `// Dynamic data: ${dataReferences.join(', ')}\n  let componentData = {};`
-      : `let componentData = {};`;
-  }
-  
-  generateActionFunction(action) {
-    return `
-  function handle${action.name}() {
-    console.log('🎯 Action triggered: ${action.name}');
-    
-    // Get current screen for Trinity Flow tracking
-    let currentScreenValue;
-    const unsubscribe = currentScreen.subscribe(value => {
-      currentScreenValue = value;
+      this.components.set(interfaceName, component);
+      this.routes.set(`/${interfaceName}`, interfaceName);
     });
-    unsubscribe();
-    
-    // Send Trinity Flow message for live behavior monitoring
-    if (window.parent && window.parent !== window) {
-      window.parent.postMessage({
-        type: 'TRINITY_FLOW_ACTION',
-        action: 'app_button_clicked',
-        buttonName: '${action.name}',
-        from: currentScreenValue,
-        to: '${action.resultingShow || 'unknown'}',
-        timestamp: new Date().toISOString(),
-        framework: 'svelte_advanced'
-      }, '*');
-    }
-    
-    ${action.resultingShow ? `navigateToScreen('${action.resultingShow}', '${action.name}');` : '// No navigation specified'}
-  }`;
-  }
-  
-  generateShowBlock(block, actions) {
-    switch (block.type) {
-      case 'status_bar':
-        return `
-  <!-- Status Bar -->
-  <div class="status-bar glass-morphism">
-    <span class="time">22:08</span>
-    <div class="status-icons">
-      <span>📶</span>
-      <span>📶</span>
-      <span>🔋</span>
-    </div>
-  </div>`;
-      
-      case 'header':
-        return `
-  <!-- App Header -->
-  <div class="app-header glass-morphism">
-    ${this.generateHeaderContent(block, actions)}
-  </div>`;
-      
-      case 'content':
-        return `
-  <!-- Main Content -->
-  <div class="main-content">
-    ${this.generateContentElements(block, actions)}
-  </div>`;
-      
-      case 'actions':
-        return `
-  <!-- Action Buttons -->
-  <div class="floating-actions">
-    ${this.generateActionButtons(block, actions)}
-  </div>`;
-      
-      default:
-        return `
-  <!-- ${block.name} -->
-  <div class="block-${block.name}">
-    ${this.generateGenericContent(block, actions)}
-  </div>`;
-    }
-  }
-  
-  generateHeaderContent(block, actions) {
-    // Find relevant actions for header (back, menu, etc.)
-    const headerActions = actions.filter(action => 
-      action.name.includes('back') || 
-      action.name.includes('menu') || 
-      action.name.includes('close') ||
-      action.name.includes('cancel')
-    );
-    
-    return `
-    <div class="header-content">
-      ${headerActions.map(action => `
-        <button class="glass-button" on:click={handle${action.name}}>
-          ${this.getActionIcon(action.name)}
-        </button>
-      `).join('')}
-      
-      <div class="header-title">
-        <h1>App Title</h1>
-      </div>
-      
-      <div class="header-actions">
-        <!-- Additional header actions -->
-      </div>
-    </div>`;
-  }
-  
-  generateContentElements(block, actions) {
-    // Generate main content with interactive elements
-    const contentActions = actions.filter(action => 
-      !action.name.includes('back') && 
-      !action.name.includes('menu') &&
-      !action.name.includes('fab')
-    );
-    
-    return `
-    <div class="content-container">
-      <!-- Dynamic content based on data models -->
-      <div class="content-grid">
-        ${contentActions.map(action => `
-          <div class="content-item glass-card" on:click={handle${action.name}}>
-            <div class="item-icon">${this.getActionIcon(action.name)}</div>
-            <div class="item-content">
-              <h3>${action.name.replace('_', ' ')}</h3>
-              <p>Interactive element</p>
-            </div>
-          </div>
-        `).join('')}
-      </div>
-    </div>`;
-  }
-  
-  generateActionButtons(block, actions) {
-    const fabActions = actions.filter(action => 
-      action.name.includes('create') || 
-      action.name.includes('add') || 
-      action.name.includes('fab')
-    );
-    
-    return fabActions.map(action => `
-      <button class="fab-button" on:click={handle${action.name}}>
-        ${this.getActionIcon(action.name)}
-      </button>
-    `).join('');
-  }
-  
-  generateGenericContent(block, actions) {
-    return `
-    <div class="generic-content">
-      <h3>${block.name.replace('_', ' ')}</h3>
-      <div class="content-elements">
-        ${actions.slice(0, 3).map(action => `
-          <button class="action-button" on:click={handle${action.name}}>
-            ${action.name.replace('_', ' ')}
-          </button>
-        `).join('')}
-      </div>
-    </div>`;
-  }
-  
-  getActionIcon(actionName) {
-    const name = actionName.toLowerCase();
-    if (name.includes('back')) return '←';
-    if (name.includes('close') || name.includes('cancel')) return '✕';
-    if (name.includes('menu')) return '☰';
-    if (name.includes('search')) return '🔍';
-    if (name.includes('create') || name.includes('add')) return '+';
-    if (name.includes('edit')) return '✏️';
-    if (name.includes('delete')) return '🗑️';
-    if (name.includes('save')) return '💾';
-    if (name.includes('settings')) return '⚙️';
-    if (name.includes('profile')) return '👤';
-    return '•';
-  }
-  
-  getAnimationTransition(animation) {
-    switch (animation) {
-      case 'fade_in': return 'fade';
-      case 'slide_in_right': return 'fly={{ x: 300, duration: 600, easing: quintOut }}';
-      case 'slide_in_left': return 'fly={{ x: -300, duration: 600, easing: quintOut }}';
-      case 'scale_up': return 'scale={{ start: 0.8, duration: 600, easing: quintOut }}';
-      default: return 'fade';
-    }
-  }
-  
-  getInterfaceBackground(interfaceDefinition) {
-    // Extract theme colors or use default gradient
-    return 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)';
-  }
-  
-  getLayoutStyles(layout) {
-    switch (layout) {
-      case 'mobile_app':
-        return `
-    display: flex;
-    flex-direction: column;
-    position: relative;
-        `;
-      case 'desktop':
-        return `
-    max-width: 1200px;
-    margin: 0 auto;
-    padding: 20px;
-        `;
-      default:
-        return '';
-    }
-  }
-  
-  generateGlassMorphismStyles() {
-    return `
-  .glass-morphism {
-    background: rgba(255, 255, 255, 0.15);
-    backdrop-filter: blur(20px);
-    border: 1px solid rgba(255, 255, 255, 0.2);
-    box-shadow: 0 8px 32px rgba(0, 0, 0, 0.1);
-  }
-  
-  .glass-card {
-    background: rgba(255, 255, 255, 0.1);
-    backdrop-filter: blur(15px);
-    border: 1px solid rgba(255, 255, 255, 0.2);
-    border-radius: 16px;
-    padding: 20px;
-    margin: 10px 0;
-    cursor: pointer;
-    transition: all 0.3s ease;
-  }
-  
-  .glass-card:hover {
-    background: rgba(255, 255, 255, 0.2);
-    transform: translateY(-2px);
-  }`;
-  }
-  
-  generateButtonStyles() {
-    return `
-  .glass-button {
-    background: rgba(255, 255, 255, 0.2);
-    backdrop-filter: blur(10px);
-    border: 1px solid rgba(255, 255, 255, 0.3);
-    border-radius: 12px;
-    padding: 12px 20px;
-    color: white;
-    font-weight: 600;
-    cursor: pointer;
-    transition: all 0.3s ease;
-  }
-  
-  .glass-button:hover {
-    background: rgba(255, 255, 255, 0.3);
-    transform: translateY(-1px);
-  }
-  
-  .fab-button {
-    position: fixed;
-    bottom: 20px;
-    right: 20px;
-    width: 56px;
-    height: 56px;
-    border-radius: 50%;
-    background: linear-gradient(135deg, #667eea, #764ba2);
-    border: none;
-    color: white;
-    font-size: 24px;
-    cursor: pointer;
-    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
-    transition: all 0.3s ease;
-  }
-  
-  .fab-button:hover {
-    transform: scale(1.1);
-  }`;
-  }
-  
-  generateTextStyles() {
-    return `
-  .status-bar {
-    padding: 8px 20px;
-    display: flex;
-    justify-content: space-between;
-    align-items: center;
-    font-size: 14px;
-    font-weight: 600;
-    color: white;
-  }
-  
-  .app-header {
-    padding: 16px 20px;
-    border-bottom: 1px solid rgba(255, 255, 255, 0.1);
-  }
-  
-  .header-content {
-    display: flex;
-    align-items: center;
-    justify-content: space-between;
-  }
-  
-  .header-title h1 {
-    color: white;
-    font-size: 20px;
-    font-weight: 700;
-    margin: 0;
-  }
-  
-  .main-content {
-    flex: 1;
-    padding: 20px;
-    overflow-y: auto;
-  }
-  
-  .content-grid {
-    display: grid;
-    gap: 16px;
-  }
-  
-  .item-content h3 {
-    color: white;
-    margin: 0 0 8px 0;
-    font-size: 18px;
-    font-weight: 600;
-  }
-  
-  .item-content p {
-    color: rgba(255, 255, 255, 0.8);
-    margin: 0;
-    font-size: 14px;
-  }`;
   }
 
   /**
-   * Generate Dashboard Svelte component
+   * The status bar, header and rendered element tree of one screen
    */
-  generateDashboardComponent() {
-    const component = `
-<script>
-  import { fade, fly } from 'svelte/transition';
-  import { quintOut } from 'svelte/easing';
-  import { projects, navigateToScreen } from './stores/appStores.js';
-  
-  function handleProjectClick(project) {
-    console.log('🎯 Project clicked:', project.title);
-    navigateToScreen('project_detail');
-  }
-  
-  function handleCreateProject() {
-    console.log('➕ Create project clicked');
-    navigateToScreen('create_project');
-  }
-</script>
-
-<div class="screen dashboard" in:fade={{ duration: 300 }}>
-  <!-- Status Bar -->
-  <div class="status-bar">
-    <div class="status-time">22:08</div>
-    <div class="status-icons">
-      <span>📶</span>
-      <span>📶</span>
-      <span>🔋</span>
-    </div>
-  </div>
-  
-  <!-- App Header -->
-  <div class="app-header">
-    <div class="header-title">Zenflow</div>
-    <div class="header-actions">
-      <button class="header-btn">🔍</button>
-      <button class="header-btn">👤</button>
-    </div>
-  </div>
-  
-  <!-- Main Content -->
-  <div class="main-content">
-    <div class="projects-grid">
-      {#each $projects as project, i (project.id)}
-        <div 
-          class="project-card glass"
-          in:fly={{ y: 20, duration: 600, delay: i * 100, easing: quintOut }}
-          on:click={() => handleProjectClick(project)}
-        >
-          <div class="project-content">
-            <div class="project-icon">{project.icon}</div>
-            <div class="project-title">{project.title}</div>
-            <div class="project-subtitle">{project.subtitle}</div>
-            
-            <div class="project-stats">
-              <div class="stat">
-                <div class="stat-number">{project.task_count}</div>
-                <div class="stat-label">Tasks</div>
-              </div>
-              <div class="stat">
-                <div class="stat-number">{project.team_size}</div>
-                <div class="stat-label">Team</div>
-              </div>
-              <div class="stat">
-                <div class="stat-number">{project.days_remaining}</div>
-                <div class="stat-label">Days</div>
-              </div>
+  generateScreenHTML(stateNode) {
+    return `
+            <div class="status-bar">
+                <div class="status-time">22:08</div>
+                <div class="status-icons">
+                    <span>📶</span>
+                    <span>📶</span>
+                    <span>🔋</span>
+                </div>
             </div>
             
-            <div class="progress-bar">
-              <div class="progress-fill" style="width: {project.progress}%"></div>
+            <div class="app-header">
+                <div class="header-title">${this.componentRenderer.humanize(stateNode.interfaceName)}</div>
             </div>
             
-            <div class="team-avatars">
-              {#each project.team_avatars as avatar}
-                <div class="avatar">{avatar}</div>
-              {/each}
-            </div>
-          </div>
-        </div>
-      {/each}
-    </div>
-  </div>
-  
-  <!-- Floating Action Button -->
-  <button class="fab animate-float" on:click={handleCreateProject}>
-    <span style="font-size: 24px;">+</span>
-  </button>
-</div>
-
-<style>
-  ${this.generateGlassMorphismCSS()}
-</style>
-    `;
-    
-    this.components.set('Dashboard', component);
-  }
-
-  /**
-   * Generate ProjectDetail Svelte component
-   */
-  generateProjectDetailComponent() {
-    const component = `
-<script>
-  import { fade, fly } from 'svelte/transition';
-  import { goBack } from './stores/appStores.js';
-  
-  function handleBack() {
-    console.log('← Back clicked');
-    goBack();
-  }
-</script>
-
-<div class="screen project-detail" in:fade={{ duration: 300 }}>
-  <!-- Status Bar -->
-  <div class="status-bar">
-    <div class="status-time">22:08</div>
-    <div class="status-icons">
-      <span>📶</span>
-      <span>📶</span>
-      <span>🔋</span>
-    </div>
-  </div>
-  
-  <!-- App Header -->
-  <div class="app-header">
-    <div class="task-header">
-      <button class="back-btn" on:click={handleBack}>
-        <span>←</span>
-      </button>
-      <div class="task-info">
-        <div class="task-title">Project Details</div>
-        <div class="task-meta">Tasks and Progress</div>
-      </div>
-    </div>
-  </div>
-  
-  <!-- Main Content -->
-  <div class="main-content">
-    <div class="task-sections">
-      <div class="section glass" in:fly={{ x: 20, duration: 500, delay: 100 }}>
-        <div class="section-title">
-          <span>🔥</span>
-          Project Overview
-        </div>
-        <div class="subtasks">
-          <div class="subtask">
-            <div class="subtask-text">This is the project detail view</div>
-          </div>
-          <div class="subtask">  
-            <div class="subtask-text">Navigate back to see the dashboard</div>
-          </div>
-        </div>
-      </div>
-    </div>
-  </div>
-</div>
-
-<style>
-  ${this.generateGlassMorphismCSS()}
-</style>
-    `;
-    
-    this.components.set('ProjectDetail', component);
-  }
-
-  /**
-   * Generate CreateProject Svelte component
-   */
-  generateCreateProjectComponent() {
-    const component = `
-<script>
-  import { fade, fly } from 'svelte/transition';
-  import { goBack, projects } from './stores/appStores.js';
-  
-  let projectName = '';
-  let projectDescription = '';
-  
-  function handleCancel() {
-    goBack();
-  }
-  
-  function handleCreate() {
-    if (projectName.trim()) {
-      projects.update(items => [...items, {
-        id: Date.now(),
-        title: projectName,
-        subtitle: projectDescription,
-        icon: '✨',
-        progress: 0,
-        task_count: 0,
-        team_size: 1,
-        days_remaining: 30,
-        team_avatars: ['You'],
-        priority: 'medium'
-      }]);
-      
-      goBack();
-    }
+            <div class="main-content">
+                ${this.componentRenderer.renderScreen(stateNode.elements, this.getPreviewModels(), stateNode.interfaceName)}
+            </div>`;
   }
-</script>
 
-<div class="screen create-project" in:fade={{ duration: 300 }}>
-  <!-- Status Bar -->
-  <div class="status-bar">
-    <div class="status-time">22:08</div>
-    <div class="status-icons">
-      <span>📶</span>
-      <span>📶</span>
-      <span>🔋</span>
-    </div>
-  </div>
-  
-  <!-- App Header -->
-  <div class="app-header">
-    <div class="task-header">
-      <button class="back-btn" on:click={handleCancel}>
-        <span>✕</span>
-      </button>
-      <div class="task-info">
-        <div class="task-title">New Project</div>
-        <div class="task-meta">Create something amazing</div>
-      </div>
-    </div>
-  </div>
-  
-  <!-- Main Content -->
-  <div class="main-content">
-    <div class="form-container">
-      <div class="form-group" in:fly={{ x: -20, duration: 500 }}>
-        <label for="projectName">Project Name</label>
-        <input 
-          type="text" 
-          id="projectName"
-          bind:value={projectName}
-          placeholder="Enter project name..." 
-          class="form-input" 
-        />
-      </div>
-      
-      <div class="form-group" in:fly={{ x: -20, duration: 500, delay: 200 }}>
-        <label for="projectDescription">Description</label>
-        <textarea 
-          id="projectDescription"
-          bind:value={projectDescription}
-          placeholder="Project description..." 
-          class="form-textarea" 
-          rows="3"
-        ></textarea>
-      </div>
-    </div>
-  </div>
-  
-  <!-- Screen Actions -->
-  <div class="screen-actions">
-    <button class="btn-primary" on:click={handleCreate}>
-      <span>💾</span> Create Project
-    </button>
-  </div>
-</div>
-
-<style>
-  ${this.generateGlassMorphismCSS()}
-</style>
-    `;
-    
-    this.components.set('CreateProject', component);
+  escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
   }
 
   /**
@@ -977,8 +293,6 @@ export function goBack() {
     const interfaceNames = Array.from(this.components.keys());
     const defaultInterface = interfaceNames[0] || 'dashboard';
     
-    console.log(`🚛 Generating main app with ${interfaceNames.length} dynamic routes`);
-    
     const mainApp = `
 <script>
   import { currentScreen } from './stores/appStores.js';
@@ -1009,12 +323,7 @@ export function goBack() {
     padding: 0;
     font-family: -apple-system, BlinkMacSystemFont, 'SF Pro Display', 'Segoe UI', Roboto, sans-serif;
     overflow: hidden;
-    background: linear-gradient(135deg, 
-      #667eea 0%, 
-      #764ba2 25%, 
-      #f093fb 50%, 
-      #f5576c 75%, 
-      #4facfe 100%);
+    background: ${this.theme.primaryGradient};
     background-size: 400% 400%;
     animation: gradientShift 20s ease infinite;
   }
@@ -1026,8 +335,8 @@ export function goBack() {
   }
   
   .app-main {
-    width: 390px;
-    height: 844px;
+    width: ${this.theme.width}px;
+    height: ${this.theme.height}px;
     position: relative;
     overflow: hidden;
     border-radius: 41px;
@@ -1049,8 +358,8 @@ export function goBack() {
         position: absolute;
         top: 0;
         left: 0;
-        width: 390px;
-        height: 844px;
+        width: ${this.theme.width}px;
+        height: ${this.theme.height}px;
         display: flex;
         flex-direction: column;
         opacity: 0;
@@ -1127,7 +436,7 @@ export function goBack() {
         border-radius: 24px;
         padding: 24px;
         cursor: pointer;
-        transition: all 0.4s cubic-bezier(0.16, 1, 0.3, 1);
+        transition: all 0.4s ${this.theme.animationStyle};
       }
       
       .project-card:hover {
@@ -1185,7 +494,7 @@ export function goBack() {
       .progress-fill {
         height: 100%;
         background: linear-gradient(90deg, rgba(255, 255, 255, 0.8), rgba(255, 255, 255, 0.6));
-        transition: width 0.6s cubic-bezier(0.16, 1, 0.3, 1);
+        transition: width 0.6s ${this.theme.animationStyle};
       }
       
       .team-avatars {
@@ -1220,7 +529,7 @@ export function goBack() {
         backdrop-filter: blur(25px);
         color: white;
         cursor: pointer;
-        transition: all 0.4s cubic-bezier(0.16, 1, 0.3, 1);
+        transition: all 0.4s ${this.theme.animationStyle};
       }
       
       .fab:hover {
@@ -1326,6 +635,22 @@ export function goBack() {
         transform: translateY(-2px);
         background: linear-gradient(135deg, rgba(255, 255, 255, 0.4), rgba(255, 255, 255, 0.2));
       }
+      ${this.componentRenderer.generateCSS()}
+      ${this.theme.glassMorphism ? '' : this.generateSolidSurfaceCSS()}
+    `;
+  }
+
+  /**
+   * Flat surfaces for themes with glass_morphism: false
+   */
+  generateSolidSurfaceCSS() {
+    return `
+      .glass, .status-bar, .fab, .back-btn, .section {
+        backdrop-filter: none;
+        -webkit-backdrop-filter: none;
+        background: rgba(255, 255, 255, 0.92);
+        color: #1f2937;
+      }
     `;
   }
 
@@ -1339,8 +664,8 @@ export function goBack() {
 <html lang="en">
 <head>
     <meta charset="UTF-8">
-    <meta name="viewport" content="width=390, height=844, initial-scale=1.0, maximum-scale=1.0, user-scalable=no, viewport-fit=cover">
-    <title>APML Compiled Svelte App</title>
+    <meta name="viewport" content="width=${this.theme.width}, height=${this.theme.height}, initial-scale=1.0, maximum-scale=1.0, user-scalable=no, viewport-fit=cover">
+    <title>${this.escapeHTML(this.apmlSpec.app?.title || 'APML Compiled Svelte App')}</title>
     <style>
         ${this.generateGlassMorphismCSS()}
         
@@ -1351,16 +676,11 @@ export function goBack() {
         }
         
         html, body {
-            width: 390px;
-            height: 844px;
+            width: ${this.theme.width}px;
+            height: ${this.theme.height}px;
             overflow: hidden;
             font-family: -apple-system, BlinkMacSystemFont, 'SF Pro Display', 'Segoe UI', Roboto, sans-serif;
-            background: linear-gradient(135deg, 
-                #667eea 0%, 
-                #764ba2 25%, 
-                #f093fb 50%, 
-                #f5576c 75%, 
-                #4facfe 100%);
+            background: ${this.theme.primaryGradient};
             background-size: 400% 400%;
             animation: gradientShift 20s ease infinite;
         }
@@ -1380,174 +700,75 @@ export function goBack() {
   }
 
   /**
-   * Generate a static version for demo purposes
+   * Logic flows the runtime fires itself rather than from a button click
    */
-  generateStaticVersionForDemo() {
-    return `
-        <div class="screen dashboard active" id="dashboard">
-            <div class="status-bar">
-                <div class="status-time">22:08</div>
-                <div class="status-icons">
-                    <span>📶</span>
-                    <span>📶</span>
-                    <span>🔋</span>
-                </div>
-            </div>
-            
-            <div class="app-header">
-                <div class="header-title">Zenflow</div>
-                <div class="header-actions">
-                    <button class="header-btn">🔍</button>
-                    <button class="header-btn">👤</button>
-                </div>
-            </div>
-            
-            <div class="main-content">
-                <div class="projects-grid">
-                    ${this.generateProjectCards()}
-                </div>
-            </div>
-            
-            <button class="fab animate-float" onclick="navigateToScreen('create_project', 'create_project_fab')">
-                <span style="font-size: 24px;">+</span>
-            </button>
-        </div>
-        
-        <div class="screen project-detail" id="project_detail">
-            <div class="status-bar">
-                <div class="status-time">22:08</div>
-                <div class="status-icons">
-                    <span>📶</span>
-                    <span>📶</span>
-                    <span>🔋</span>
-                </div>
-            </div>
-            
-            <div class="app-header">
-                <div class="task-header">
-                    <button class="back-btn" onclick="navigateToScreen('dashboard', 'back_button')">
-                        <span>←</span>
-                    </button>
-                    <div class="task-info">
-                        <div class="task-title">Project Details</div>
-                        <div class="task-meta">Tasks and Progress</div>
-                    </div>
-                </div>
-            </div>
-            
-            <div class="main-content">
-                <div class="task-sections">
-                    <div class="section glass">
-                        <div class="section-title">
-                            <span>🔥</span>
-                            Project Overview
-                        </div>
-                        <div class="subtasks">
-                            <div class="subtask">
-                                <div class="subtask-text">✅ Real Svelte compilation working!</div>
-                            </div>
-                            <div class="subtask">  
-                                <div class="subtask-text">🎯 Trinity flow with reactive stores</div>
-                            </div>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        </div>
-        
-        <div class="screen create-project" id="create_project">
-            <div class="status-bar">
-                <div class="status-time">22:08</div>
-                <div class="status-icons">
-                    <span>📶</span>
-                    <span>📶</span>
-                    <span>🔋</span>
-                </div>
-            </div>
-            
-            <div class="app-header">
-                <div class="task-header">
-                    <button class="back-btn" onclick="navigateToScreen('dashboard', 'cancel_button')">
-                        <span>✕</span>
-                    </button>
-                    <div class="task-info">
-                        <div class="task-title">New Project</div>
-                        <div class="task-meta">Create something amazing</div>
-                    </div>
-                </div>
-            </div>
-            
-            <div class="main-content">
-                <div class="form-container">
-                    <div class="form-group">
-                        <label>Project Name</label>
-                        <input type="text" placeholder="Enter project name..." class="form-input" />
-                    </div>
-                    <div class="form-group">
-                        <label>Description</label>
-                        <textarea placeholder="Project description..." class="form-textarea" rows="3"></textarea>
-                    </div>
-                </div>
-            </div>
-            
-            <div class="screen-actions">
-                <button class="btn-primary" onclick="navigateToScreen('dashboard', 'create_project_button')">
-                    <span>💾</span> Create Project
-                </button>
-            </div>
-        </div>
-    `;
+  getTriggerFlows() {
+    return this.logicFlows
+      .filter(flow => flow.triggerKind && flow.triggerKind !== 'click')
+      .map(flow => ({
+        id: flow.id,
+        processId: flow.processId,
+        processName: flow.processName,
+        trigger: flow.trigger,
+        triggerKind: flow.triggerKind,
+        triggerText: flow.triggerText,
+        triggerTarget: flow.triggerTarget,
+        triggerEvent: flow.triggerEvent,
+        elementName: flow.elementName,
+        fromInterface: flow.fromInterface,
+        redirectTo: flow.redirectTo
+      }));
   }
 
   /**
-   * Generate project cards from data models
+   * JSON for embedding in an inline <script>
    */
-  generateProjectCards() {
-    const projects = this.dataModels.get('Project')?.sampleData || [];
-    
-    return projects.map((project, index) => `
-        <div class="project-card glass animate-fade-in-up" onclick="navigateToScreen('project_detail', 'project_card_${project.id}')" style="animation-delay: ${index * 0.1}s">
-            <div class="project-content">
-                <div class="project-icon">${project.icon}</div>
-                <div class="project-title">${project.title}</div>
-                <div class="project-subtitle">${project.subtitle}</div>
-                
-                <div class="project-stats">
-                    <div class="stat">
-                        <div class="stat-number">${project.task_count}</div>
-                        <div class="stat-label">Tasks</div>
-                    </div>
-                    <div class="stat">
-                        <div class="stat-number">${project.team_size}</div>
-                        <div class="stat-label">Team</div>
-                    </div>
-                    <div class="stat">
-                        <div class="stat-number">${project.days_remaining}</div>
-                        <div class="stat-label">Days</div>
-                    </div>
-                </div>
-                
-                <div class="progress-bar">
-                    <div class="progress-fill" style="width: ${project.progress}%"></div>
-                </div>
-                
-                <div class="team-avatars">
-                    ${project.team_avatars.map(avatar => `<div class="avatar">${avatar}</div>`).join('')}
-                </div>
-            </div>
+  serializeForScript(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+  }
+
+  /**
+   * One screen per interface, the entry one active
+   */
+  generateStaticVersionForDemo() {
+    const entry = findEntryInterface(this.apmlSpec.stateNodes);
+    return this.apmlSpec.stateNodes.map(stateNode => `
+        <div class="screen${stateNode === entry ? ' active' : ''}" id="${stateNode.interfaceName}">
+            ${this.generateScreenHTML(stateNode)}
         </div>
     `).join('');
   }
 
+  /**
+   * The navigating flow for a button on an interface - flows bound to
+   * another interface's button of the same name don't apply
+   */
+  findButtonFlow(buttonName, interfaceName) {
+    return this.logicFlows.find(flow =>
+      flow.buttonName === buttonName &&
+      flow.redirectTo &&
+      (!flow.fromInterface || flow.fromInterface === interfaceName));
+  }
+
+  /**
+   * Preview records for every data model, keyed by model name
+   */
+  getPreviewModels() {
+    return Object.fromEntries([...this.dataModels].map(([name, model]) => [name, model.sampleData]));
+  }
+
   /**
    * Generate Svelte-like runtime for demo
    */
   generateSvelteRuntimeDemo() {
     return `
         // Trinity Flow Integrated Runtime - Single Source of Truth
-        let currentScreen = 'dashboard';
+        let currentScreen = '${findEntryInterface(this.apmlSpec.stateNodes)?.interfaceName || ''}';
+        
+        // Non-click triggers from the APML logic (hover, focus, input, lifecycle, data and custom events)
+        const triggerFlows = ${this.serializeForScript(this.getTriggerFlows())};
         
-        function navigateToScreen(screenName, buttonName = null) {
+        function navigateToScreen(screenName, buttonName = null, triggerKind = 'click', processId = null) {
             console.log('🎯 App Navigation (Trinity Integrated):', currentScreen, '→', screenName);
             
             const previousScreen = currentScreen;
@@ -1577,8 +798,10 @@ export function goBack() {
             if (window.parent && window.parent !== window) {
                 const trinityMessage = {
                     type: 'TRINITY_FLOW_ACTION',
-                    action: 'app_button_clicked',
+                    action: triggerKind === 'click' ? 'app_button_clicked' : 'app_trigger_fired',
                     buttonName: buttonName,
+                    triggerKind: triggerKind,
+                    processId: processId,
                     from: previousScreen,
                     to: screenName,
                     timestamp: new Date().toISOString(),
@@ -1590,8 +813,67 @@ export function goBack() {
             }
             
             console.log('✅ Trinity-integrated navigation complete:', screenName);
+            
+            fireLifecycleTriggers(screenName);
+        }
+        
+        // Flows are fired by ID: process names repeat across logic groups, and a
+        // process on an element shared by several screens has one flow per screen
+        function fireTrigger(flowId) {
+            const flow = triggerFlows.find(f => f.id === flowId);
+            if (!flow) return;
+            
+            console.log('⚡ Trigger fired:', flow.triggerKind, flow.triggerText);
+            
+            if (flow.redirectTo && flow.redirectTo !== currentScreen) {
+                navigateToScreen(flow.redirectTo, flow.trigger, flow.triggerKind, flow.processId);
+            } else if (window.parent && window.parent !== window) {
+                window.parent.postMessage({
+                    type: 'TRINITY_FLOW_ACTION',
+                    action: 'app_trigger_fired',
+                    buttonName: flow.trigger,
+                    triggerKind: flow.triggerKind,
+                    flowId: flow.id,
+                    processId: flow.processId,
+                    from: currentScreen,
+                    to: null,
+                    timestamp: new Date().toISOString(),
+                    framework: 'svelte_advanced'
+                }, '*');
+            }
+        }
+        
+        // "when app loads" fires on start, "when dashboard loads" each time dashboard is shown
+        let lifecycleDepth = 0;
+        function fireLifecycleTriggers(target) {
+            // Screens that redirect to each other on load would otherwise loop forever
+            if (lifecycleDepth > 5) return;
+            lifecycleDepth++;
+            triggerFlows
+                .filter(f => f.triggerKind === 'lifecycle' && f.triggerTarget === target && /loads|starts|opens/.test(f.triggerEvent))
+                .filter(f => f.redirectTo !== target)
+                .forEach(f => fireTrigger(f.id));
+            lifecycleDepth--;
+        }
+        
+        function findTriggerElement(node, elementName) {
+            if (!node.closest || !/^\\w+$/.test(elementName || '')) return null;
+            return node.closest('[data-element="' + elementName + '"], #' + elementName + ', .' + elementName);
         }
         
+        // Hover, focus and input triggers fire from the element they name
+        const triggerDomEvents = { hover: 'mouseover', focus: 'focusin', input: 'input' };
+        Object.keys(triggerDomEvents).forEach(kind => {
+            document.addEventListener(triggerDomEvents[kind], function(event) {
+                triggerFlows.filter(f => f.triggerKind === kind && (!f.fromInterface || f.fromInterface === currentScreen)).forEach(flow => {
+                    const element = findTriggerElement(event.target, flow.elementName);
+                    if (!element) return;
+                    if (kind === 'hover' && event.relatedTarget && element.contains(event.relatedTarget)) return;
+                    fireTrigger(flow.id);
+                });
+            });
+        });
+        
         // Listen for Trinity Flow navigation from parent
         window.addEventListener('message', function(event) {
             if (event.data && event.data.type === 'TRINITY_NAVIGATE_TO_SCREEN') {
@@ -1603,6 +885,11 @@ export function goBack() {
                     navigateToScreen(targetScreen, 'trinity_node');
                 }
             }
+            
+            // Data, condition and custom events are fired from the visualiser
+            if (event.data && event.data.type === 'TRINITY_FIRE_TRIGGER') {
+                fireTrigger(event.data.flowId);
+            }
         });
         
         // Add screen transitions
@@ -1613,8 +900,12 @@ export function goBack() {
         console.log('🚀 Svelte Advanced APML App Initialized');
         console.log('📊 Generated from APML data models with real Svelte architecture');
         
-        // Make function global
+        // Make functions global
         window.navigateToScreen = navigateToScreen;
+        window.fireTrigger = fireTrigger;
+        
+        fireLifecycleTriggers('app');
+        fireLifecycleTriggers(currentScreen);
     `;
   }
 }
\ No newline at end of file
@@ -0,0 +1,49 @@
+/**
+ * APML Diagnostics
+ * Structured parse/validation problems with severity, code and source range
+ */
+
+export const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFO: 'info'
+};
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+/**
+ * Create a diagnostic spanning `length` characters from the given position;
+ * a position from a project file also names the file
+ */
+export function createDiagnostic(severity, code, message, position = {}, length = 1) {
+  const line = position.line || 1;
+  const column = position.column || 1;
+
+  const diagnostic = {
+    severity,
+    code,
+    message,
+    line,
+    column,
+    endLine: line,
+    endColumn: column + Math.max(1, length)
+  };
+
+  return position.file ? { ...diagnostic, file: position.file } : diagnostic;
+}
+
+export function hasErrors(diagnostics) {
+  return (diagnostics || []).some(diagnostic => diagnostic.severity === SEVERITY.ERROR);
+}
+
+/**
+ * Sort diagnostics by file and position, errors first on the same line
+ */
+export function sortDiagnostics(diagnostics) {
+  return [...(diagnostics || [])].sort((a, b) =>
+    (a.file || '').localeCompare(b.file || '') ||
+    a.line - b.line ||
+    SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] ||
+    a.column - b.column
+  );
+}
@@ -0,0 +1,345 @@
+/**
+ * APML Formatter
+ * Prints APML in canonical form: two spaces per nesting level, "key: value"
+ * spacing, one blank line between top-level declarations and at most one blank
+ * line anywhere else. Comments stay where they were, indented like the line
+ * they precede, and block scalars (`content: |`, `summary: >`) keep their text
+ * and relative indentation. Formatting never changes the document the parser builds.
+ * A document AST (as parsed, before linking) prints the same way.
+ */
+
+import { APMLTokenizer } from './APMLTokenizer.js';
+import { splitArguments } from './apmlComponents.js';
+
+const INDENT = '  ';
+
+export class APMLFormatter {
+  constructor() {
+    this.tokenizer = new APMLTokenizer();
+  }
+
+  /**
+   * Canonical text for an APML source
+   */
+  format(source) {
+    const tokens = this.tokenizer.tokenize(source);
+    const lines = [];
+    const stack = [];  // Indents of the open entries, outermost first
+    let pendingBlank = false;
+    let previous = null;  // { depth, type, isImport, keepsBlanks } of the last line written
+
+    const depthOf = indent => stack.filter(open => open < indent).length;
+
+    const write = (depth, text, type, isImport = false) => {
+      // A top-level declaration (with the comments above it) is set off by a blank line
+      const startsDeclaration = depth === 0 && previous &&
+        !(previous.depth === 0 && previous.type === 'comment') &&
+        !(isImport && previous.isImport);
+
+      // Blank lines after a keep (`|+`) block are part of its text, so none are added
+      if (previous && !previous.keepsBlanks && (pendingBlank || startsDeclaration)) lines.push('');
+      lines.push(`${INDENT.repeat(depth)}${text}`);
+
+      pendingBlank = false;
+      previous = { depth, type, isImport };
+    };
+
+    for (let index = 0; index < tokens.length; index++) {
+      const token = tokens[index];
+
+      if (token.type === 'text') continue;
+
+      if (token.type === 'blank') {
+        pendingBlank = previous !== null;
+        continue;
+      }
+
+      if (token.type === 'comment') {
+        write(depthOf(token.indent), token.text, 'comment');
+        continue;
+      }
+
+      while (stack.length > 0 && stack[stack.length - 1] >= token.indent) {
+        stack.pop();
+      }
+      const depth = stack.length;
+      stack.push(token.indent);
+
+      write(depth, this.formatEntry(token), 'entry', depth === 0 && /^import\b/.test(token.text));
+
+      if (token.block) {
+        lines.push(...this.blockLines(depth, token.block));
+        previous.keepsBlanks = token.block.chomping === 'keep';
+      }
+    }
+
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+  }
+
+  /**
+   * "key: value" with single spacing; lines without a separator are kept as written
+   */
+  formatEntry(token) {
+    if (token.value === null) return token.text;
+    return this.entryText(token.key, token.value);
+  }
+
+  /**
+   * The lines of a block scalar whose key is at `depth`: one level deeper, or
+   * as many spaces past the key as its indentation indicator says
+   */
+  blockLines(depth, block) {
+    const indent = block.indentation
+      ? `${INDENT.repeat(depth)}${' '.repeat(block.indentation)}`
+      : INDENT.repeat(depth + 1);
+
+    return block.lines.map(text => (text ? `${indent}${text}` : ''));
+  }
+
+  /**
+   * Canonical APML for a document AST, with the comments attached to its nodes
+   */
+  print(ast) {
+    const lines = [];
+    let previous = null;
+
+    (ast?.body || []).forEach(node => {
+      const isImport = node.type === 'import';
+      const separated = previous && !(isImport && previous.type === 'import') && !this.endsWithKeptBlock(previous);
+      if (separated) lines.push('');
+      lines.push(...this.withComments(node, 0, this.printDeclaration(node)));
+      previous = node;
+    });
+
+    (ast?.trailingComments || []).forEach(comment => lines.push(comment.text));
+
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+  }
+
+  /**
+   * Whether a node's last line ends a keep (`|+`) block, whose trailing blank
+   * lines are its own and must not be added to
+   */
+  endsWithKeptBlock(node) {
+    if (node.trailingComments) return false;
+    const children = ['properties', 'fields', 'shows', 'elements', 'children'].flatMap(key => node[key] || []);
+    if (children.length > 0) return this.endsWithKeptBlock(children[children.length - 1]);
+    return node.block?.chomping === 'keep';
+  }
+
+  printDeclaration(node) {
+    switch (node.type) {
+      case 'import':
+        return [`import "${node.path}"`];
+      case 'app':
+        return [`app ${node.name}:`, ...this.printProperties(node.properties, 1)];
+      case 'data':
+        return [
+          `data ${node.name}:`,
+          ...node.fields.flatMap(field => this.withComments(field, 1, [
+            ...this.printEntry(1, field.name, field.value, field.block),
+            ...this.printProperties(field.children, 2)
+          ]))
+        ];
+      case 'component': {
+        const params = node.params.map(param => {
+          if (!param.name) return param.text;
+          return param.default !== null && param.default !== undefined ? `${param.name} = ${param.default}` : param.name;
+        });
+        return [
+          `component ${node.name}${params.length > 0 ? `(${params.join(', ')})` : ''}:`,
+          ...this.printElements(node.elements, 1)
+        ];
+      }
+      case 'interface':
+        return [
+          `interface ${node.name}:`,
+          ...this.printProperties(node.properties, 1),
+          ...this.printElements(node.shows, 1)
+        ];
+      case 'logic':
+        return [`logic ${node.name}:`, ...node.processes.flatMap(process => this.printProcess(process, 1))];
+      case 'scene':
+        return [
+          `${node.keyword} ${node.name}:`,
+          ...(node.description !== null ? [this.line(1, `description: ${this.quote(node.description)}`)] : []),
+          ...this.printSteps('path', node.path, ' -> '),
+          ...this.printSteps('includes', node.includes, ', ')
+        ];
+      case 'block':
+        return [
+          `${[node.keyword, node.name].filter(Boolean).join(' ')}:${node.value ? ` ${node.value}` : ''}`,
+          ...this.printProperties(node.properties, 1)
+        ];
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * A scene's steps inline, or one "- name" line each when a step has comments
+   */
+  printSteps(key, steps, separator) {
+    if (steps.length === 0) return [];
+
+    const names = steps.map(step => step.name);
+    if (!steps.some(step => step.leadingComments || step.trailingComments)) {
+      return [this.line(1, `${key}: ${key === 'includes' ? `[${names.join(separator)}]` : names.join(separator)}`)];
+    }
+
+    return [this.line(1, `${key}:`), ...steps.flatMap(step => this.withComments(step, 2, [this.line(2, `- ${step.name}`)]))];
+  }
+
+  printProperties(properties, depth) {
+    return properties.flatMap(property => this.withComments(property, depth, [
+      ...this.printEntry(depth, property.key, property.value, property.block),
+      ...this.printProperties(property.children, depth + 1)
+    ]));
+  }
+
+  printElements(nodes, depth) {
+    return nodes.flatMap(node => this.withComments(node, depth, this.printElement(node, depth)));
+  }
+
+  printElement(node, depth) {
+    switch (node.type) {
+      case 'show':
+        return [
+          this.line(depth, `show ${node.name}:${node.value ? ` ${node.value}` : ''}`),
+          ...this.printElements(node.elements, depth + 1)
+        ];
+      case 'slot':
+        return [
+          this.line(depth, `slot ${node.name}${node.elements.length > 0 ? ':' : ''}`),
+          ...this.printElements(node.elements, depth + 1)
+        ];
+      case 'for_each':
+        return [
+          this.line(depth, `for each ${node.variable} in ${node.queryText}:`),
+          ...this.printElements(node.elements, depth + 1)
+        ];
+      case 'use': {
+        // Arguments after the ones in the parentheses were written as nested lines
+        const { key } = this.tokenizer.tokenizeLine(node.text, 0);
+        const inline = splitArguments(key.match(/\((.*)\)/)?.[1]).length;
+        return [
+          this.line(depth, node.text),
+          ...node.args.slice(inline).flatMap(arg => this.withComments(arg, depth + 1, [this.line(depth + 1, arg.text)])),
+          ...node.fills.flatMap(fill => this.withComments(fill, depth + 1, [
+            this.line(depth + 1, fill.text),
+            ...this.printElements(fill.elements, depth + 2)
+          ]))
+        ];
+      }
+      case 'element':
+        return [
+          ...this.printEntry(depth, node.name, node.value, node.block),
+          ...this.printElements(node.children || [], depth + 1)
+        ];
+      default:
+        return [];
+    }
+  }
+
+  printProcess(process, depth) {
+    if (!process.trigger) {
+      return this.withComments(process, depth, [
+        this.line(depth, `process ${process.name}:`),
+        ...this.printStatements(process.statements, depth + 1)
+      ]);
+    }
+
+    return this.withComments(process, depth, [
+      this.line(depth, `process ${process.name}:`),
+      ...this.withComments(process.trigger, depth + 1, [
+        this.line(depth + 1, `when ${process.trigger.text}:`),
+        ...this.printStatements(process.statements, depth + 2)
+      ])
+    ]);
+  }
+
+  printStatements(statements, depth) {
+    return statements.flatMap(statement => [
+      ...this.withComments(statement, depth, [
+        this.line(depth, statement.text),
+        ...this.printStatements(statement.children, depth + 1)
+      ]),
+      ...this.printAlternate(statement, depth)
+    ]);
+  }
+
+  /**
+   * The else / else if branches the parser nested under an if statement
+   */
+  printAlternate(statement, depth) {
+    const alternate = statement.alternate;
+    if (!alternate) return [];
+
+    if (alternate.length === 1 && /^else\b/.test(alternate[0].text)) {
+      return [
+        ...this.withComments(alternate[0], depth, [
+          this.line(depth, alternate[0].text),
+          ...this.printStatements(alternate[0].children, depth + 1)
+        ]),
+        ...this.printAlternate(alternate[0], depth)
+      ];
+    }
+
+    return this.withComments(statement.elseComments || {}, depth, [
+      this.line(depth, 'else:'),
+      ...this.printStatements(alternate, depth + 1)
+    ]);
+  }
+
+  /**
+   * A node's lines with its leading comments above and its trailing comments
+   * below, one level deeper when they were indented under the node
+   */
+  withComments(node, depth, lines) {
+    const trailingDepth = comment => (comment.loc.column > node.loc.column ? depth + 1 : depth);
+
+    return [
+      ...(node.leadingComments || []).map(comment => this.line(depth, comment.text)),
+      ...lines,
+      ...(node.trailingComments || []).map(comment => this.line(trailingDepth(comment), comment.text))
+    ];
+  }
+
+  /**
+   * A "key: value" line, or the key and its lines for a value written as a block scalar
+   */
+  printEntry(depth, key, value, block) {
+    if (!block) return [this.line(depth, this.entryText(key, value))];
+    return [this.line(depth, `${key}: ${block.header}`), ...this.blockLines(depth, block)];
+  }
+
+  line(depth, text) {
+    return `${INDENT.repeat(depth)}${text}`;
+  }
+
+  entryText(key, value) {
+    if (value === null || value === undefined) return key;
+    return value ? `${key}: ${value}` : `${key}:`;
+  }
+
+  quote(text) {
+    const value = String(text);
+    return value.includes('"') ? `'${value}'` : `"${value}"`;
+  }
+}
+
+/**
+ * Format APML source with a shared formatter
+ */
+export function formatAPML(source) {
+  return new APMLFormatter().format(source);
+}
+
+/**
+ * Canonical APML for a document AST
+ */
+export function printAPML(ast) {
+  return new APMLFormatter().print(ast);
+}
+
+export default APMLFormatter;
@@ -0,0 +1,140 @@
+/**
+ * APML Grammar
+ * Declarations and logic statements defined by the APML specification (see llm-reference.txt)
+ */
+
+export const APML_SPEC_VERSION = '0.9.0';
+
+/**
+ * Top-level declaration keywords in the 0.9 grammar
+ */
+export const DECLARATION_KEYWORDS = ['app', 'data', 'component', 'interface', 'logic', 'scene', 'journey'];
+
+/**
+ * Logic statements in the 0.9 grammar; each capture group fills the
+ * field of the same index
+ */
+export const STATEMENT_PATTERNS = [
+  { kind: 'redirect', pattern: /^redirect\s+to\s+(?:(\w+)\.)?(\w+)$/, fields: ['app', 'target'] },
+  { kind: 'create', pattern: /^create\s+(?:new\s+)?(\w+)(?:\s+with\s+(.+))?$/, fields: ['model', 'data'] },
+  { kind: 'update', pattern: /^update\s+(.+?)(?:\s+with\s+(.+))?$/, fields: ['target', 'data'] },
+  { kind: 'validate', pattern: /^validate\s+(.+)$/, fields: ['targets'] },
+  { kind: 'show', pattern: /^show\s+(.+)$/, fields: ['target'] },
+  { kind: 'fetch', pattern: /^fetch\s+from\s+(.+)$/, fields: ['source'] },
+  // Call style: fetch_project_details(project_id) reads from project_details
+  { kind: 'fetch', pattern: /^fetch_(\w+)\s*\((.*)\)$/, fields: ['source', 'arguments'] },
+  { kind: 'if', pattern: /^if\s+(.+)$/, fields: ['condition'], block: true },
+  { kind: 'else', pattern: /^else(?:\s+if\s+(.+))?$/, fields: ['condition'], block: true }
+];
+
+/**
+ * Match a statement's text against the grammar; returns
+ * { kind, block, fields } or null when no statement matches
+ */
+export function parseStatementText(text) {
+  const normalized = text.replace(/:$/, '').trim();
+
+  for (const { kind, pattern, fields, block = false } of STATEMENT_PATTERNS) {
+    const match = normalized.match(pattern);
+    if (!match) continue;
+
+    const values = {};
+    fields.forEach((field, index) => {
+      values[field] = match[index + 1] !== undefined ? match[index + 1].trim() : null;
+    });
+
+    // validate a and b, c -> ['a', 'b', 'c']
+    if (kind === 'validate') {
+      values.targets = values.targets.split(/\s+and\s+|\s*,\s*/).filter(Boolean);
+    }
+
+    return { kind, block, fields: values };
+  }
+
+  return null;
+}
+
+/**
+ * Match a statement's text against the grammar; returns the statement kind or null
+ */
+export function matchStatement(text) {
+  return parseStatementText(text)?.kind || null;
+}
+
+/**
+ * Process triggers ("when ..."); patterns are tried in order and the
+ * first match wins, so anything unrecognised becomes a custom event
+ */
+export const TRIGGER_PATTERNS = [
+  { kind: 'click', pattern: /^user\s+(?:clicks|taps|touches|presses|interacts\s+with)\s+(?:on\s+)?(.+)$/, fields: ['target'] },
+  { kind: 'hover', pattern: /^user\s+hovers\s+(?:over\s+)?(.+)$/, fields: ['target'] },
+  { kind: 'focus', pattern: /^user\s+(focuses|blurs)\s+(?:on\s+)?(.+)$/, fields: ['event', 'target'] },
+  { kind: 'input', pattern: /^user\s+(types|enters|pastes|changes|selects|submits|edits)\s+(?:in(?:to)?\s+)?(.+)$/, fields: ['event', 'target'] },
+  { kind: 'lifecycle', pattern: /^(\w+)\s+(loads|starts|opens|closes|resumes)$/, fields: ['target', 'event'] },
+  { kind: 'data', pattern: /^(\w+?)_(changed|changes|created|updated|deleted|selected|loaded|extracted)$/, fields: ['target', 'event'] },
+  { kind: 'condition', pattern: /^(.+?)\s*(==|!=|>=|<=|>|<)\s*(.+)$/, fields: ['target', 'operator', 'value'] },
+  { kind: 'custom', pattern: /^(.+)$/, fields: ['event'] }
+];
+
+/**
+ * Kinds of trigger a user performs directly - these are the DO half of a Trinity flow
+ */
+export const USER_TRIGGER_KINDS = ['click', 'hover', 'focus', 'input'];
+
+/**
+ * Classify a trigger's text (without the leading "when"); returns
+ * { kind, fields } - every trigger matches at least the custom pattern
+ */
+export function parseTriggerText(text) {
+  const normalized = text.replace(/:$/, '').trim();
+
+  for (const { kind, pattern, fields } of TRIGGER_PATTERNS) {
+    const match = normalized.match(pattern);
+    if (!match) continue;
+
+    const values = {};
+    fields.forEach((field, index) => {
+      values[field] = match[index + 1].trim();
+    });
+
+    return { kind, fields: values };
+  }
+
+  return { kind: 'custom', fields: { event: normalized } };
+}
+
+/**
+ * Spec version that introduced each feature; a document declaring an older
+ * apml_specification_version may not use it. The core declarations
+ * (app, data, interface, logic) are available in every version.
+ */
+export const FEATURE_VERSIONS = {
+  theme: '0.9.0',
+  component: '0.9.0',
+  scene: '0.9.0',
+  journey: '0.9.0'
+};
+
+/**
+ * Compare two dotted version strings; returns -1, 0 or 1
+ */
+export function compareVersions(a, b) {
+  const left = String(a).split('.').map(Number);
+  const right = String(b).split('.').map(Number);
+
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] || 0) - (right[i] || 0);
+    if (difference !== 0) return difference > 0 ? 1 : -1;
+  }
+  return 0;
+}
+
+/**
+ * Whether a feature is available in the given spec version
+ * (unknown features and undeclared versions are allowed)
+ */
+export function isFeatureSupported(feature, specVersion = APML_SPEC_VERSION) {
+  const introduced = FEATURE_VERSIONS[feature];
+  if (!introduced || !specVersion) return true;
+  return compareVersions(specVersion, introduced) >= 0;
+}
@@ -0,0 +1,715 @@
+/**
+ * APML Parser
+ * Builds a typed AST (import, app, data, field, component, interface, show, element, for_each, logic, process,
+ * statement, scene)
+ * from indentation-structured APML, with a source position on every node.
+ * `use component` elements are expanded into component instances after parsing
+ * (linking), which also assigns declarations to their app, binds user triggers
+ * to the interfaces they happen on and gives nodes their stable path IDs;
+ * APMLProject defers linking until every imported file is parsed.
+ * Block scalars (`key: |`, `key: >`) are read as opaque strings: the value is
+ * their text and the node keeps the written lines in `block`.
+ * Comments are kept as trivia: `leadingComments` on the node they precede and
+ * `trailingComments` on the block they close.
+ * Problems are collected as diagnostics and the parser recovers by skipping the
+ * offending entry, so one pass reports every issue.
+ */
+
+import { APMLTokenizer } from './APMLTokenizer.js';
+import { createDiagnostic, sortDiagnostics, SEVERITY } from './APMLDiagnostics.js';
+import {
+  APML_SPEC_VERSION,
+  DECLARATION_KEYWORDS,
+  FEATURE_VERSIONS,
+  compareVersions,
+  isFeatureSupported,
+  parseStatementText,
+  parseTriggerText,
+  USER_TRIGGER_KINDS
+} from './APMLGrammar.js';
+import { parseScalar, walkElements } from './apmlAst.js';
+import { parseFieldDescriptor } from './apmlFields.js';
+import { expandComponents, parseParameters, splitArguments } from './apmlComponents.js';
+import { isQueryExpression, parseQuery } from './apmlQuery.js';
+import { assignIds } from './apmlIds.js';
+import { checkDanglingReferences, checkSceneReferences, resolveTriggerSources } from './apmlReferences.js';
+import { checkInterfaceRoles } from './apmlRoles.js';
+import { assignApps, checkAppReferences } from './apmlWorkspace.js';
+
+export class APMLParser {
+  constructor() {
+    this.tokenizer = new APMLTokenizer();
+    this.diagnostics = [];
+    this.file = null;
+  }
+
+  /**
+   * Main parse entry point - returns the document AST and its diagnostics.
+   * `file` is recorded on every position; `link: false` leaves component
+   * expansion and the spec version check to the caller
+   */
+  parse(source, { file = null, link = true } = {}) {
+    this.diagnostics = [];
+    this.file = file;
+
+    const tokens = this.tokenizer.tokenize(source);
+    const { entries, comments } = this.buildOutline(tokens);
+
+    const ast = {
+      type: 'document',
+      body: entries.map(entry => this.parseDeclaration(entry)).filter(Boolean),
+      ...(comments.length > 0 ? { trailingComments: comments } : {}),
+      loc: this.loc({ line: 1, column: 1 })
+    };
+
+    if (link) this.linkDocument(ast);
+
+    return { ast, diagnostics: sortDiagnostics(this.diagnostics) };
+  }
+
+  /**
+   * Link an already parsed (possibly merged) document and return the diagnostics found
+   */
+  link(ast) {
+    this.diagnostics = [];
+    this.file = null;
+    this.linkDocument(ast);
+    return sortDiagnostics(this.diagnostics);
+  }
+
+  linkDocument(ast) {
+    expandComponents(ast).forEach(({ severity, code, message, loc, text }) => {
+      this.report(severity, code, message, { ...loc, text });
+    });
+
+    assignApps(ast);
+
+    [
+      ...resolveTriggerSources(ast),
+      ...checkSceneReferences(ast),
+      ...checkAppReferences(ast),
+      ...checkDanglingReferences(ast),
+      ...checkInterfaceRoles(ast)
+    ].forEach(({ severity, code, message, loc, text, suggestion }) => {
+      this.report(severity, code, message, { ...loc, text }, suggestion);
+    });
+
+    assignIds(ast);
+
+    this.checkSpecVersion(ast);
+  }
+
+  /**
+   * Record a diagnostic spanning the text of an entry; a name that was not
+   * found can carry the suggested replacement
+   */
+  report(severity, code, message, entry, suggestion = null) {
+    const position = { ...entry, file: entry.file || this.file };
+    const diagnostic = createDiagnostic(severity, code, message, position, entry.text?.length);
+    this.diagnostics.push(suggestion ? { ...diagnostic, suggestion } : diagnostic);
+  }
+
+  /**
+   * Group entry tokens into a tree using their indentation; the lines of a
+   * block scalar are text tokens, so they never become entries. Returns
+   * { entries, comments }, where comments are those of a file without entries
+   */
+  buildOutline(tokens) {
+    const root = { indent: -1, children: [] };
+    const stack = [root];
+    let pending = [];  // Comments not yet attached to an entry
+
+    // The innermost open entry a comment is indented under
+    const enclosing = comment => [...stack].reverse().find(open => open !== root && open.indent < comment.indent);
+    const addTrailing = (entry, comment) => {
+      entry.trailingComments = [...(entry.trailingComments || []), comment];
+    };
+
+    tokens.forEach(token => {
+      if (token.type === 'comment') {
+        pending.push(token);
+        return;
+      }
+      if (token.type !== 'entry') return;
+
+      // Comments indented under an entry this line closes end that entry's block
+      while (pending.length > 0) {
+        const owner = enclosing(pending[0]);
+        if (!owner || owner.indent < token.indent) break;
+        addTrailing(owner, this.comment(pending.shift()));
+      }
+      const leadingComments = pending.map(comment => this.comment(comment));
+      pending = [];
+
+      while (stack[stack.length - 1].indent >= token.indent) {
+        stack.pop();
+      }
+
+      const parent = stack[stack.length - 1];
+      const siblingIndent = parent.children[0]?.indent;
+      if (siblingIndent !== undefined && siblingIndent !== token.indent) {
+        this.report(SEVERITY.WARNING, 'inconsistent-indentation',
+          `Indentation of ${token.indent} does not match its siblings (${siblingIndent})`, token);
+      }
+
+      const entry = { ...token, value: token.block ? token.block.value : token.value, leadingComments, children: [] };
+      parent.children.push(entry);
+      stack.push(entry);
+    });
+
+    // Comments at the end of the file close the block they are indented under, or the last declaration
+    const last = root.children[root.children.length - 1];
+    pending.forEach(comment => {
+      const owner = enclosing(comment) || last;
+      if (owner) addTrailing(owner, this.comment(comment));
+    });
+
+    return { entries: root.children, comments: last ? [] : pending.map(comment => this.comment(comment)) };
+  }
+
+  comment(token) {
+    return { type: 'comment', text: token.text, loc: this.loc(token) };
+  }
+
+  /**
+   * The comments attached to an entry, to spread into its node
+   */
+  trivia(entry) {
+    const trivia = {};
+    if (entry.leadingComments?.length > 0) trivia.leadingComments = entry.leadingComments;
+    if (entry.trailingComments?.length > 0) trivia.trailingComments = entry.trailingComments;
+    return trivia;
+  }
+
+  /**
+   * Parse a top-level declaration (app, data, component, interface, logic, or any other block)
+   */
+  parseDeclaration(entry) {
+    if (/^import\b/.test(entry.text)) {
+      return this.parseImport(entry);
+    }
+
+    if (entry.value === null) {
+      this.report(SEVERITY.ERROR, 'unexpected-statement',
+        `Unexpected top-level statement "${entry.text}" - expected a declaration like "interface name:"`, entry);
+      return null;
+    }
+
+    const [keyword, ...rest] = entry.key.split(/\s+/);
+    const name = rest.join(' ') || null;
+
+    if (DECLARATION_KEYWORDS.includes(keyword) && !name) {
+      this.report(SEVERITY.ERROR, 'missing-name', `Missing name after "${keyword}"`, entry);
+      return null;
+    }
+
+    switch (keyword) {
+      case 'app':
+        return this.parseApp(entry, name);
+      case 'data':
+        return this.parseData(entry, name);
+      case 'component':
+        return this.parseComponent(entry, name);
+      case 'interface':
+        return this.parseInterface(entry, name);
+      case 'logic':
+        return this.parseLogic(entry, name);
+      case 'scene':
+      case 'journey':
+        return this.parseScene(entry, keyword, name);
+      default:
+        this.report(SEVERITY.WARNING, 'unknown-declaration',
+          `"${keyword}" is not a declaration in the APML ${APML_SPEC_VERSION} grammar`, entry);
+        return {
+          type: 'block',
+          keyword,
+          name,
+          value: entry.value || null,
+          properties: entry.children.map(child => this.parseProperty(child)),
+          ...this.trivia(entry),
+          loc: this.loc(entry)
+        };
+    }
+  }
+
+  /**
+   * Parse `import "path/to/file.apml"`; the path is relative to the importing file
+   */
+  parseImport(entry) {
+    const match = entry.text.match(/^import\s+(["'])(.+?)\1$/);
+    if (!match || entry.children.length > 0) {
+      this.report(SEVERITY.ERROR, 'invalid-import', `Expected 'import "file.apml"' but found "${entry.text}"`, entry);
+      return null;
+    }
+
+    return { type: 'import', path: match[2], ...this.trivia(entry), loc: this.loc(entry) };
+  }
+
+  /**
+   * Parse the app header: scalar properties become metadata and the
+   * `theme:` block becomes a theme object; all properties are kept as written
+   */
+  parseApp(entry, name) {
+    const properties = entry.children.map(child => this.parseProperty(child));
+    const metadata = {};
+    let theme = null;
+
+    properties.forEach(property => {
+      if (property.key === 'theme') {
+        theme = {};
+        property.children.forEach(child => {
+          theme[child.key] = parseScalar(child.value);
+        });
+        theme.loc = property.loc;
+      } else if (property.value) {
+        metadata[property.key] = property.block ? property.value : parseScalar(property.value);
+      }
+    });
+
+    return { type: 'app', name, metadata, theme, properties, ...this.trivia(entry), loc: this.loc(entry) };
+  }
+
+  parseData(entry, name) {
+    return {
+      type: 'data',
+      name,
+      fields: entry.children.map(child => this.parseField(child)).filter(Boolean),
+      ...this.trivia(entry),
+      loc: this.loc(entry)
+    };
+  }
+
+  parseField(entry) {
+    if (entry.value === null) {
+      this.report(SEVERITY.ERROR, 'invalid-field', `Expected "field_name: type" but found "${entry.text}"`, entry);
+      return null;
+    }
+
+    // A block of text is a text field with that text as its value
+    const { descriptor, problems } = parseFieldDescriptor(entry.key, entry.block ? entry.block.header : entry.value);
+    problems.forEach(({ severity, code, message }) => this.report(severity, code, message, entry));
+    if (entry.block) Object.assign(descriptor, { hasDefault: true, default: entry.value });
+
+    return {
+      type: 'field',
+      name: entry.key,
+      value: entry.value,
+      ...this.blockOf(entry),
+      descriptor: { ...descriptor, loc: this.loc(entry) },
+      children: entry.children.map(child => this.parseProperty(child)),
+      ...this.trivia(entry),
+      loc: this.loc(entry)
+    };
+  }
+
+  /**
+   * Parse a component definition: `component name(param, other = default):`
+   * with a body of elements, where `slot name` marks content the use site fills in
+   */
+  parseComponent(entry, signature) {
+    const match = signature.match(/^(\w+)\s*(?:\((.*)\))?$/);
+    if (!match) {
+      this.report(SEVERITY.ERROR, 'invalid-component',
+        `Expected "component name(param, ...):" but found "${entry.key}"`, entry);
+      return null;
+    }
+
+    const params = parseParameters(match[2]);
+    params.filter(param => !param.name).forEach(param => {
+      this.report(SEVERITY.ERROR, 'invalid-component',
+        `Component "${match[1]}": "${param.text}" is not a parameter`, entry);
+    });
+
+    const elements = entry.children.map(child => this.parseElement(child));
+    const slots = [];
+    walkElements({ elements }, node => {
+      if (node.type === 'slot' && !slots.includes(node.name)) slots.push(node.name);
+    });
+
+    return { type: 'component', name: match[1], params, slots, elements, ...this.trivia(entry), loc: this.loc(entry) };
+  }
+
+  parseInterface(entry, name) {
+    const properties = [];
+    const shows = [];
+
+    entry.children.forEach(child => {
+      const showName = this.matchShow(child);
+      if (showName) {
+        shows.push(this.parseShow(child, showName));
+      } else {
+        properties.push(this.parseProperty(child));
+      }
+    });
+
+    return { type: 'interface', name, properties, shows, ...this.trivia(entry), loc: this.loc(entry) };
+  }
+
+  parseShow(entry, name) {
+    return {
+      type: 'show',
+      name,
+      value: entry.value || null,
+      elements: entry.children.map(child => this.parseElement(child)),
+      ...this.trivia(entry),
+      loc: this.loc(entry)
+    };
+  }
+
+  /**
+   * Parse an element inside a show block; nested show blocks stay typed as shows,
+   * `slot name`, `use component` and `for each x in query` lines become slot,
+   * use and for_each nodes. Values over a data model (Task[], Project.recent(5))
+   * are parsed into a query
+   */
+  parseElement(entry) {
+    const showName = this.matchShow(entry);
+    if (showName) {
+      return this.parseShow(entry, showName);
+    }
+
+    const slotMatch = entry.key.match(/^slot\s+(\w+)$/);
+    if (slotMatch) {
+      return {
+        type: 'slot',
+        name: slotMatch[1],
+        elements: entry.children.map(child => this.parseElement(child)),
+        ...this.trivia(entry),
+        loc: this.loc(entry)
+      };
+    }
+
+    if (/^use\s+/.test(entry.key)) {
+      return this.parseUse(entry);
+    }
+
+    const loopMatch = entry.key.match(/^for\s+each\s+(\w+)\s+in\s+(.+)$/);
+    if (loopMatch) {
+      return {
+        type: 'for_each',
+        variable: loopMatch[1],
+        queryText: loopMatch[2],
+        query: this.parseQuery(loopMatch[2], entry, SEVERITY.ERROR),
+        elements: entry.children.map(child => this.parseElement(child)),
+        ...this.trivia(entry),
+        loc: this.loc(entry)
+      };
+    }
+
+    return {
+      type: 'element',
+      name: entry.key,
+      value: entry.value,
+      ...this.blockOf(entry),
+      query: !entry.block && isQueryExpression(entry.value) ? this.parseQuery(entry.value, entry, SEVERITY.WARNING) : null,
+      children: entry.children.map(child => this.parseElement(child)),
+      ...this.trivia(entry),
+      loc: this.loc(entry)
+    };
+  }
+
+  /**
+   * Parse `use name(arg, param = value) as alias:`. Nested `param: value` lines are
+   * arguments too; nested blocks fill the slot of the same name
+   */
+  parseUse(entry) {
+    const match = entry.key.match(/^use\s+(\w+)\s*(?:\((.*)\))?(?:\s+as\s+(\w+))?$/);
+    if (!match) {
+      this.report(SEVERITY.ERROR, 'invalid-component-use',
+        `Expected "use component_name" but found "${entry.text}"`, entry);
+      return { type: 'element', name: entry.key, value: entry.value, children: [], ...this.trivia(entry), loc: this.loc(entry) };
+    }
+
+    const args = splitArguments(match[2]).map(part => {
+      const named = part.match(/^(\w+)\s*[=:]\s*(.+)$/);
+      return { name: named ? named[1] : null, value: named ? named[2] : part, text: part, loc: this.loc(entry) };
+    });
+    const fills = [];
+
+    entry.children.forEach(child => {
+      if (child.children.length > 0) {
+        fills.push({
+          name: child.key.replace(/^slot\s+/, ''),
+          elements: child.children.map(grandchild => this.parseElement(grandchild)),
+          text: child.text,
+          ...this.trivia(child),
+          loc: this.loc(child)
+        });
+      } else if (child.value) {
+        args.push({ name: child.key, value: child.value, text: child.text, ...this.trivia(child), loc: this.loc(child) });
+      } else {
+        this.report(SEVERITY.WARNING, 'invalid-component-use',
+          `Expected "parameter: value" or a slot block but found "${child.text}"`, child);
+      }
+    });
+
+    return {
+      type: 'use',
+      component: match[1],
+      alias: match[3] || null,
+      args,
+      fills,
+      text: entry.text,
+      ...this.trivia(entry),
+      loc: this.loc(entry)
+    };
+  }
+
+  /**
+   * Parse a query; a loop needs one to iterate, while an element value that
+   * fails to parse is still usable as plain text, hence the severity
+   */
+  parseQuery(text, entry, severity) {
+    const query = parseQuery(text);
+    if (query.error) {
+      this.report(severity, 'invalid-query', `${query.error} in "${text}"`, entry);
+    }
+    return query;
+  }
+
+  parseLogic(entry, name) {
+    return {
+      type: 'logic',
+      name,
+      processes: entry.children.map(child => this.parseProcess(child)).filter(Boolean),
+      ...this.trivia(entry),
+      loc: this.loc(entry)
+    };
+  }
+
+  /**
+   * Parse a process: its first "when ..." clause is the trigger, and the
+   * clause body plus any sibling lines become the statement list
+   */
+  parseProcess(entry) {
+    const match = entry.key.match(/^process\s+(.+)$/);
+    if (!match || entry.value === null) {
+      this.report(SEVERITY.ERROR, 'invalid-process', `Expected "process name:" but found "${entry.text}"`, entry);
+      return null;
+    }
+
+    let trigger = null;
+    const statementEntries = [];
+
+    entry.children.forEach(child => {
+      if (!trigger && /^when\s+/.test(child.key) && child.value !== null) {
+        trigger = this.parseTrigger(child);
+        statementEntries.push(...child.children);
+      } else {
+        statementEntries.push(child);
+      }
+    });
+
+    if (!trigger) {
+      this.report(SEVERITY.WARNING, 'missing-trigger', `Process "${match[1]}" has no "when ..." trigger`, entry);
+    }
+
+    return {
+      type: 'process',
+      name: match[1],
+      trigger,
+      statements: this.parseStatements(statementEntries),
+      ...this.trivia(entry),
+      loc: this.loc(entry)
+    };
+  }
+
+  /**
+   * Parse a scene (or journey): a named flow through the app with an ordered
+   * primary path, given inline (`path: welcome -> signup -> dashboard`) or as a
+   * `steps:` list, plus any other interfaces it `includes`
+   */
+  parseScene(entry, keyword, name) {
+    const scene = {
+      type: 'scene', keyword, name, description: null, path: [], includes: [], ...this.trivia(entry), loc: this.loc(entry)
+    };
+
+    // Inline (a -> b -> c, a, b or [a, b]) or one "- name" per nested line
+    const readNames = child => {
+      const items = child.value
+        ? (child.value.match(/^\[(.*)\]$/)?.[1] ?? child.value)
+          .split(/\s*(?:->|→|,)\s*/)
+          .map(name => ({ name, loc: this.loc(child) }))
+        : child.children.map(item => ({ name: item.text.replace(/^-\s*/, ''), ...this.trivia(item), loc: this.loc(item) }));
+      return items.filter(item => item.name);
+    };
+
+    entry.children.forEach(child => {
+      switch (child.key) {
+        case 'description':
+          scene.description = child.block ? child.value : String(parseScalar(child.value));
+          break;
+        case 'path':
+        case 'steps':
+          scene.path = readNames(child);
+          break;
+        case 'includes':
+          scene.includes = readNames(child);
+          break;
+        default:
+          this.report(SEVERITY.WARNING, 'unknown-scene-property',
+            `"${child.key}" is not a ${keyword} property (expected description, path, steps or includes)`, child);
+      }
+    });
+
+    if (scene.path.length === 0) {
+      this.report(SEVERITY.WARNING, 'empty-scene', `${keyword} "${name}" has no path`, entry);
+    }
+
+    return scene;
+  }
+
+  /**
+   * Parse a "when ..." clause into a typed trigger: click, hover, focus,
+   * input, lifecycle, data, condition or custom. A user trigger may name the
+   * interface its element is on: "when user clicks save_button on settings",
+   * or on another app's interface: "... on AdminApp.settings"
+   */
+  parseTrigger(entry) {
+    const text = entry.key.replace(/^when\s+/, '');
+    const { kind, fields } = parseTriggerText(text);
+
+    const qualified = USER_TRIGGER_KINDS.includes(kind) && fields.target.match(/^(\S+)\s+on\s+(?:(\w+)\.)?(\w+)$/);
+    if (qualified) {
+      fields.target = qualified[1];
+      fields.interface = qualified[3];
+      if (qualified[2]) fields.app = qualified[2];
+    }
+
+    return { type: 'trigger', kind, text, ...fields, ...this.trivia(entry), loc: this.loc(entry) };
+  }
+
+  /**
+   * Parse a statement list, attaching each else / else if branch to the
+   * if statement before it so branches nest as if -> alternate
+   */
+  parseStatements(entries) {
+    const statements = [];
+    let openIf = null;
+
+    entries.forEach(entry => {
+      const statement = this.parseStatement(entry);
+
+      if (statement.kind === 'else') {
+        if (!openIf) {
+          this.report(SEVERITY.ERROR, 'orphan-else', `"${entry.text}" has no matching "if" before it`, entry);
+          return;
+        }
+
+        if (statement.condition) {
+          const elseIf = { ...statement, kind: 'if', alternate: null };
+          openIf.alternate = [elseIf];
+          openIf = elseIf;
+        } else {
+          openIf.alternate = statement.children;
+          // The else line itself is not a node, so the if keeps its comments
+          const { leadingComments, trailingComments } = statement;
+          if (leadingComments || trailingComments) {
+            openIf.elseComments = { ...this.trivia({ leadingComments, trailingComments }), loc: statement.loc };
+          }
+          openIf = null;
+        }
+        return;
+      }
+
+      openIf = statement.kind === 'if' ? statement : null;
+      statements.push(statement);
+    });
+
+    return statements;
+  }
+
+  /**
+   * Parse one statement into a typed node: kind plus the fields its
+   * pattern captures (target, model, data, targets, source, condition)
+   */
+  parseStatement(entry) {
+    const parsed = parseStatementText(entry.text);
+
+    if (!parsed) {
+      this.report(SEVERITY.WARNING, 'unknown-statement',
+        `"${entry.text}" is not a statement in the APML ${APML_SPEC_VERSION} grammar`, entry);
+    } else if (!parsed.block && entry.children.length > 0) {
+      this.report(SEVERITY.WARNING, 'unexpected-block',
+        `"${parsed.kind}" statements do not take a nested block`, entry);
+    }
+
+    const statement = {
+      type: 'statement',
+      kind: parsed ? parsed.kind : 'unknown',
+      text: entry.text,
+      ...(parsed ? parsed.fields : {}),
+      children: this.parseStatements(entry.children),
+      ...this.trivia(entry),
+      loc: this.loc(entry)
+    };
+
+    if (statement.kind === 'if') {
+      statement.alternate = null;
+    }
+
+    return statement;
+  }
+
+  parseProperty(entry) {
+    return {
+      type: 'property',
+      key: entry.key,
+      value: entry.value,
+      ...this.blockOf(entry),
+      children: entry.children.map(child => this.parseProperty(child)),
+      ...this.trivia(entry),
+      loc: this.loc(entry)
+    };
+  }
+
+  /**
+   * Check the declared apml_specification_version: warn when it is newer than
+   * this parser, and when a declaration uses a feature the version predates
+   */
+  checkSpecVersion(ast) {
+    const app = ast.body.find(node => node.type === 'app');
+    const specVersion = app?.metadata.apml_specification_version;
+    if (!specVersion) return;
+
+    const versionProperty = app.properties.find(property => property.key === 'apml_specification_version');
+    if (compareVersions(specVersion, APML_SPEC_VERSION) > 0) {
+      this.report(SEVERITY.WARNING, 'unsupported-spec-version',
+        `Spec version ${specVersion} is newer than the supported APML ${APML_SPEC_VERSION}`,
+        { ...versionProperty.loc, text: `apml_specification_version: ${versionProperty.value}` });
+    }
+
+    const uses = ast.body.map(node => ({ feature: node.keyword || node.type, loc: node.loc }));
+    if (app.theme) uses.push({ feature: 'theme', loc: app.theme.loc });
+
+    uses.forEach(({ feature, loc }) => {
+      if (!isFeatureSupported(feature, String(specVersion))) {
+        this.report(SEVERITY.ERROR, 'feature-not-in-spec-version',
+          `"${feature}" requires APML ${FEATURE_VERSIONS[feature]} but this spec declares ${specVersion}`,
+          { ...loc, text: feature });
+      }
+    });
+  }
+
+  /**
+   * `block` for a node written as a block scalar: how it was written, without its value
+   */
+  blockOf(entry) {
+    if (!entry.block) return {};
+    const { value, ...block } = entry.block;
+    return { block };
+  }
+
+  matchShow(entry) {
+    if (entry.value === null) return null;
+    const match = entry.key.match(/^show\s+(\w+)$/);
+    return match ? match[1] : null;
+  }
+
+  loc(entry) {
+    const loc = { line: entry.line, column: entry.column };
+    return this.file ? { ...loc, file: this.file } : loc;
+  }
+}
+
+export default APMLParser;
@@ -0,0 +1,227 @@
+/**
+ * APML Project
+ * A set of .apml files joined by `import "path.apml"` directives. Resolves the
+ * imports of an entry file into one document AST (every node keeps the file it
+ * came from in its loc), and lays a project back out as a folder with one file
+ * per declaration.
+ */
+
+import { APMLParser } from './APMLParser.js';
+import { createDiagnostic, sortDiagnostics, SEVERITY } from './APMLDiagnostics.js';
+
+export const DEFAULT_ENTRY = 'main.apml';
+
+// Folder for each kind of declaration in an exported project
+const LAYOUT_FOLDERS = {
+  data: 'data',
+  component: 'components',
+  interface: 'interfaces',
+  logic: 'logic',
+  scene: 'scenes',
+  block: 'blocks'
+};
+
+const DECLARATION_LABELS = {
+  app: 'App',
+  data: 'Data model',
+  component: 'Component',
+  interface: 'Interface',
+  logic: 'Logic group',
+  scene: 'Scene'
+};
+
+/**
+ * Normalize a project path: forward slashes, no "." segments, ".." resolved
+ */
+export function normalizePath(path) {
+  const segments = [];
+
+  String(path).replace(/\\/g, '/').split('/').forEach(segment => {
+    if (!segment || segment === '.') return;
+    if (segment === '..') segments.pop();
+    else segments.push(segment);
+  });
+
+  return segments.join('/');
+}
+
+/**
+ * Resolve an import path against the file that imports it
+ */
+export function resolveImportPath(fromFile, path) {
+  const directory = fromFile.includes('/') ? fromFile.slice(0, fromFile.lastIndexOf('/')) : '';
+  return normalizePath(path.startsWith('/') ? path : `${directory}/${path}`);
+}
+
+export class APMLProject {
+  /**
+   * `files` maps project paths to APML source; the entry defaults to the file
+   * that declares the app
+   */
+  constructor(files = {}, entry = null) {
+    this.files = new Map(Object.entries(files).map(([path, source]) => [normalizePath(path), source || '']));
+    this.entry = entry ? normalizePath(entry) : APMLProject.findEntry(files);
+    this.parser = new APMLParser();
+  }
+
+  /**
+   * The file declaring `app`, else main.apml, else the first file
+   */
+  static findEntry(files) {
+    const paths = Object.keys(files).map(normalizePath);
+    return paths.find(path => /^app\s+\w+/m.test(files[path] ?? '')) ||
+      paths.find(path => path === DEFAULT_ENTRY) ||
+      paths[0] ||
+      DEFAULT_ENTRY;
+  }
+
+  /**
+   * Parse the entry and everything it imports into one document; `link: false`
+   * leaves the merged document as parsed. Declarations defined twice are left out
+   * of the document but kept in `declarations`.
+   * Returns { ast, diagnostics, files (in load order), documents (path -> file AST), declarations }
+   */
+  resolve({ link = true } = {}) {
+    const diagnostics = [];
+    const documents = new Map();
+    const body = [];
+
+    const report = (code, message, node, text) => {
+      diagnostics.push(createDiagnostic(SEVERITY.ERROR, code, message, node.loc, text.length));
+    };
+
+    // Each app defines a name once, and components once for the whole workspace;
+    // unknown blocks may repeat. Later definitions are reported and left out
+    const removeDuplicates = nodes => {
+      const definitions = new Map();
+      let app = nodes.find(node => node.type === 'app')?.name ?? null;
+
+      return nodes.filter(node => {
+        if (node.type === 'app') app = node.name;
+        if (node.type === 'block') return true;
+
+        const scope = ['app', 'component'].includes(node.type) ? null : app;
+        const key = `${scope}:${node.type}:${node.name}`;
+        const existing = definitions.get(key);
+        if (!existing) {
+          definitions.set(key, node);
+          return true;
+        }
+
+        const where = existing.loc.file === node.loc.file
+          ? `on line ${existing.loc.line}`
+          : `in ${existing.loc.file}:${existing.loc.line}`;
+        report('duplicate-definition', `${DECLARATION_LABELS[node.type]} "${node.name}" is already defined ${where}`,
+          node, `${node.type} ${node.name}`);
+        return false;
+      });
+    };
+
+    // Depth-first: an imported file's declarations take the place of its import
+    const load = (path, chain, importNode) => {
+      if (chain.includes(path)) {
+        report('import-cycle', `Import cycle: ${[...chain, path].join(' -> ')}`, importNode, `import "${importNode.path}"`);
+        return;
+      }
+      if (documents.has(path)) return;
+
+      if (!this.files.has(path)) {
+        if (importNode) {
+          report('missing-import', `Cannot find "${importNode.path}" (resolved to ${path})`, importNode, `import "${importNode.path}"`);
+        } else {
+          diagnostics.push(createDiagnostic(SEVERITY.ERROR, 'missing-import', `Entry file "${path}" is not part of the project`));
+        }
+        return;
+      }
+
+      const { ast, diagnostics: found } = this.parser.parse(this.files.get(path), { file: path, link: false });
+      documents.set(path, ast);
+      diagnostics.push(...found);
+
+      ast.body.forEach(node => {
+        if (node.type === 'import') {
+          load(resolveImportPath(path, node.path), [...chain, path], node);
+        } else {
+          body.push(node);
+        }
+      });
+    };
+
+    load(this.entry, [], null);
+
+    [...this.files.keys()].filter(path => !documents.has(path)).forEach(path => {
+      diagnostics.push(createDiagnostic(SEVERITY.INFO, 'unused-file',
+        `"${path}" is not imported by ${this.entry}`, { line: 1, column: 1, file: path }));
+    });
+
+    const ast = { type: 'document', body: removeDuplicates(body), loc: { line: 1, column: 1, file: this.entry } };
+    if (link) diagnostics.push(...this.parser.link(ast));
+
+    return { ast, diagnostics: sortDiagnostics(diagnostics), files: [...documents.keys()], documents, declarations: body };
+  }
+
+  /**
+   * Split the project into a git-friendly folder: main.apml holds the app block
+   * and imports one file per data model, component, interface and logic group.
+   * Each declaration keeps its original text, including the comments above it;
+   * one defined twice keeps both copies, so the duplicate is still reported.
+   * Files the entry does not import are written unchanged, still not imported.
+   * Returns [{ path, content }]
+   */
+  layout() {
+    const { documents, declarations } = this.resolve();
+    const sources = new Map();
+
+    documents.forEach((document, path) => {
+      const lines = this.files.get(path).replace(/\r\n?/g, '\n').split('\n');
+      // A declaration starts at the first comment attached above it
+      const starts = document.body.map(node => node.leadingComments?.[0]?.loc.line ?? node.loc.line);
+      starts[0] = 1;
+
+      document.body.forEach((node, index) => {
+        const end = (starts[index + 1] ?? lines.length + 1) - 1;
+        sources.set(node, lines.slice(starts[index] - 1, end).join('\n').replace(/\s+$/, ''));
+      });
+    });
+
+    const used = new Set([DEFAULT_ENTRY]);
+    const files = [];
+    const entryParts = [];
+    const imports = [];
+
+    const reservePath = (folder, baseName) => {
+      let path = `${folder}${baseName}.apml`;
+      for (let suffix = 2; used.has(path); suffix++) {
+        path = `${folder}${baseName}-${suffix}.apml`;
+      }
+      used.add(path);
+      return path;
+    };
+
+    [...this.files.keys()].filter(path => !documents.has(path)).forEach(unused => {
+      const path = reservePath(unused.replace(/[^/]+$/, ''), unused.replace(/^.*\//, '').replace(/\.apml$/, ''));
+      files.push({ path, content: this.files.get(unused) });
+    });
+
+    declarations.forEach(node => {
+      if (node.type === 'app' && entryParts.length === 0) {
+        entryParts.push(sources.get(node));
+        return;
+      }
+
+      const folder = LAYOUT_FOLDERS[node.type] || LAYOUT_FOLDERS.block;
+      const baseName = [node.type === 'block' ? node.keyword : null, node.name]
+        .filter(Boolean).join('-').replace(/[^\w.-]+/g, '_') || node.type;
+
+      const path = reservePath(`${folder}/`, baseName);
+      files.push({ path, content: `${sources.get(node)}\n` });
+      imports.push(`import "${path}"`);
+    });
+
+    if (imports.length > 0) entryParts.push(imports.join('\n'));
+
+    return [{ path: DEFAULT_ENTRY, content: `${entryParts.join('\n\n')}\n` }, ...files];
+  }
+}
+
+export default APMLProject;
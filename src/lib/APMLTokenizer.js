@@ -0,0 +1,184 @@
+/**
+ * APML Tokenizer
+ * Splits APML source into line tokens carrying indentation, key/value and source position.
+ * A YAML-style block scalar (`key: |` literal or `key: >` folded) owns every
+ * line indented deeper than its key: those lines become opaque `text` tokens
+ * and the key's token carries the block and the string it spells
+ */
+
+const TAB_WIDTH = 2;
+
+// `|` or `>`, then an optional chomping indicator and indentation width in either order
+export const BLOCK_SCALAR = /^([|>])(?:([+-])?([1-9])?|([1-9])([+-]))$/;
+
+const CHOMPING = { '-': 'strip', '+': 'keep' };
+
+export class APMLTokenizer {
+  /**
+   * Tokenize APML source into one token per line
+   */
+  tokenize(source) {
+    const lines = (source || '').replace(/\r\n?/g, '\n').split('\n');
+
+    const tokens = lines.map((rawLine, index) => this.tokenizeLine(rawLine, index + 1));
+    this.readBlockScalars(tokens);
+
+    return tokens;
+  }
+
+  /**
+   * Turn the lines under each block scalar key into `text` tokens and attach
+   * the block to the key's token as { header, style, chomping, indentation, lines, value }
+   */
+  readBlockScalars(tokens) {
+    // The empty "line" after a final line break is not part of any block
+    const limit = tokens[tokens.length - 1]?.type === 'blank' ? tokens.length - 1 : tokens.length;
+
+    for (let index = 0; index < tokens.length; index++) {
+      const token = tokens[index];
+      const header = token.type === 'entry' && token.value !== null ? token.value.match(BLOCK_SCALAR) : null;
+      if (!header) continue;
+
+      let end = index + 1;
+      while (end < limit && (tokens[end].type === 'blank' || tokens[end].indent > token.indent)) end++;
+
+      const style = header[1] === '|' ? 'literal' : 'folded';
+      const chomping = CHOMPING[header[2] || header[5]] || 'clip';
+      // Blank lines after the block only belong to it when they are kept
+      let last = end;
+      while (chomping !== 'keep' && last > index + 1 && tokens[last - 1].type === 'blank') last--;
+
+      const content = tokens.slice(index + 1, last);
+      const indentation = Number(header[3] || header[4]) || null;
+      const baseIndent = indentation
+        ? token.indent + indentation
+        : Math.min(...content.filter(line => line.type !== 'blank').map(line => line.indent));
+
+      const blockLines = content.map(line => line.type === 'blank'
+        ? ''
+        : `${' '.repeat(Math.max(0, line.indent - baseIndent))}${line.raw.trim()}`);
+      content.forEach(line => { line.type = 'text'; });
+
+      token.block = {
+        header: token.value,
+        style,
+        chomping,
+        indentation,
+        lines: blockLines,
+        value: blockScalarValue(blockLines, style, chomping)
+      };
+      index = last - 1;
+    }
+  }
+
+  /**
+   * Tokenize a single line of APML
+   */
+  tokenizeLine(rawLine, lineNumber) {
+    const indent = this.measureIndent(rawLine);
+    const text = rawLine.trim();
+    const column = rawLine.length - rawLine.trimStart().length + 1;
+
+    if (!text) {
+      return { type: 'blank', indent, text: '', raw: rawLine, line: lineNumber, column };
+    }
+
+    if (text.startsWith('#')) {
+      return { type: 'comment', indent, text, raw: rawLine, line: lineNumber, column };
+    }
+
+    const separator = this.findSeparator(text);
+
+    return {
+      type: 'entry',
+      indent,
+      text,
+      key: separator === -1 ? text : text.slice(0, separator).trim(),
+      value: separator === -1 ? null : text.slice(separator + 1).trim(),
+      raw: rawLine,
+      line: lineNumber,
+      column
+    };
+  }
+
+  /**
+   * Measure leading indentation, counting tabs as TAB_WIDTH spaces
+   */
+  measureIndent(rawLine) {
+    let indent = 0;
+
+    for (const char of rawLine) {
+      if (char === ' ') indent += 1;
+      else if (char === '\t') indent += TAB_WIDTH;
+      else break;
+    }
+
+    return indent;
+  }
+
+  /**
+   * Find the key/value separator: a colon outside quotes and brackets,
+   * followed by whitespace or the end of the line
+   */
+  findSeparator(text) {
+    let quote = null;
+    let depth = 0;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quote) {
+        if (char === '\\') i++;
+        else if (char === quote) quote = null;
+        continue;
+      }
+
+      if (char === '"' || char === "'") quote = char;
+      else if ('[({'.includes(char)) depth++;
+      else if (')]}'.includes(char)) depth = Math.max(0, depth - 1);
+      else if (char === ':' && depth === 0 && (i === text.length - 1 || /\s/.test(text[i + 1]))) {
+        return i;
+      }
+    }
+
+    return -1;
+  }
+}
+
+/**
+ * Join lines the YAML way: a literal block keeps its line breaks; a folded
+ * block joins neighbouring lines with a space, turns each blank line into a
+ * break and keeps breaks around more-indented lines. Chomping decides the end:
+ * one break (clip), none (strip) or every trailing blank line (keep)
+ */
+export function blockScalarValue(lines, style = 'literal', chomping = 'clip') {
+  let end = lines.length;
+  while (end > 0 && !lines[end - 1]) end--;
+  const content = lines.slice(0, end);
+
+  let text = '';
+  if (style === 'literal') {
+    text = content.join('\n');
+  } else {
+    let previous = null;
+    let blanks = 0;
+    content.forEach(line => {
+      if (!line) {
+        blanks++;
+        return;
+      }
+      if (previous === null) text += '\n'.repeat(blanks);
+      else if (/^\s/.test(previous) || /^\s/.test(line)) text += '\n'.repeat(blanks + 1);
+      else text += blanks > 0 ? '\n'.repeat(blanks) : ' ';
+      text += line;
+      previous = line;
+      blanks = 0;
+    });
+  }
+
+  const trailing = chomping === 'keep' ? '\n'.repeat(lines.length - end) : '';
+  if (!text) return trailing;
+  return chomping === 'strip' ? text : `${text}\n${trailing}`;
+}
+
+export default APMLTokenizer;
@@ -1,44 +1,67 @@
 /**
  * Trinity Completeness Validator
- * Ensures APML specifications have complete SHOW→DO→PROCESS→SHOW cycles
+ * Ensures APML specifications have complete SHOW→DO→PROCESS→SHOW cycles.
+ * The checks are the rules in apmlRules.js, configured by the app header.
  */
 
+import { SEVERITY } from './APMLDiagnostics.js';
+import { DEFAULT_TAP_BUDGET, getSuppressedRules, getValidationRules, RULE_OFF } from './apmlRules.js';
+import { findEntryInterface } from './apmlRoles.js';
+
+// How a finding of each severity shows in the results
+const SEVERITY_STATUS = { [SEVERITY.ERROR]: 'fail', [SEVERITY.WARNING]: 'warning', [SEVERITY.INFO]: 'info' };
+
+// Paths the longest-path search may extend before it settles for the longest found so far
+const LONGEST_PATH_SEARCH_LIMIT = 20000;
+
 export class TrinityCompletenessValidator {
-  constructor() {
+  /**
+   * `rules` defaults to every registered rule; `config` ({ rule_id: { severity, options } })
+   * applies under the app header's own `validation:` block
+   */
+  constructor({ rules = null, config = {} } = {}) {
+    this.rules = rules;
+    this.config = config;
     this.validationResults = [];
     this.interfaces = [];
     this.logicFlows = [];
     this.connections = [];
     this.reachabilityGraph = new Map();
+    this.appTriggeredInterfaces = new Set();
+    this.entryInterfaceName = null;
   }
 
   /**
    * Main validation entry point
    */
   validateTrinityCompleteness(apmlSpec) {
-    console.log('🔍 Starting Trinity Completeness Validation...');
-    
     this.interfaces = apmlSpec.stateNodes || [];
     this.logicFlows = apmlSpec.parsedFlows || [];
+    this.entryInterfaceName = apmlSpec.entryInterface || null;  // Set when validating a single scene
     this.validationResults = [];
+    this.connections = [];
+    this.reachabilityGraph = new Map();
+    this.appTriggeredInterfaces = new Set();
     
     // Build reachability graph
     this.buildReachabilityGraph();
     
-    // Run validation checks
-    this.validateInterfaceReachability();
-    this.validateDeadEndInterfaces();
-    this.validateOrphanedInterfaces();
-    this.validateTrinityFlowCompleteness();
-    this.validateUserActionCoverage();
+    // Measure navigation depth against the tap budget of the navigation_depth rule
+    const config = { ...this.config, ...(apmlSpec.app?.validation || {}) };
+    const entryInterface = this.findEntryInterface();
+    const navigation = this.measureNavigation(entryInterface, config.navigation_depth?.options?.max_taps ?? DEFAULT_TAP_BUDGET);
+    
+    // Run every rule that is not switched off
+    const context = this.createRuleContext(entryInterface, navigation);
+    (this.rules || getValidationRules()).forEach(rule => this.runRule(rule, config[rule.id] || {}, context));
     
     const summary = this.generateValidationSummary();
     
-    console.log('✅ Trinity Completeness Validation Complete:', summary);
     return {
       isComplete: summary.failCount === 0,
       summary,
-      results: this.validationResults
+      results: this.validationResults,
+      metrics: { navigation }
     };
   }
 
@@ -46,8 +69,6 @@ export class TrinityCompletenessValidator {
    * Build a graph of interface connections based on logic flows
    */
   buildReachabilityGraph() {
-    console.log('🔗 Building reachability graph...');
-    
     // Initialize graph
     this.interfaces.forEach(iface => {
       this.reachabilityGraph.set(iface.interfaceName, {
@@ -58,20 +79,29 @@ export class TrinityCompletenessValidator {
       });
     });
     
-    // Add connections from logic flows
+    // Add connections from logic flows - one per possible redirect outcome
     this.logicFlows.forEach(flow => {
       const fromInterface = flow.fromInterface;
-      const toInterface = flow.redirectTo;
       const action = flow.trigger;
+      const redirectTargets = (flow.redirectTargets || [flow.redirectTo]).filter(Boolean);
       
-      if (fromInterface && toInterface) {
-        const fromNode = this.reachabilityGraph.get(fromInterface);
+      // Any trigger on an interface element (click, hover, focus, input) is a DO action
+      const sourceNode = this.reachabilityGraph.get(fromInterface);
+      if (sourceNode) {
+        sourceNode.actions.add(action);
+      }
+      
+      // App-wide triggers (app loads, data events, custom events) can open an interface from anywhere
+      if (!fromInterface) {
+        redirectTargets.forEach(target => this.appTriggeredInterfaces.add(target));
+      }
+      
+      redirectTargets.forEach(toInterface => {
         const toNode = this.reachabilityGraph.get(toInterface);
         
-        if (fromNode && toNode) {
-          fromNode.canReach.add(toInterface);
+        if (sourceNode && toNode) {
+          sourceNode.canReach.add(toInterface);
           toNode.reachableFrom.add(fromInterface);
-          fromNode.actions.add(action);
           
           this.connections.push({
             from: fromInterface,
@@ -80,237 +110,255 @@ export class TrinityCompletenessValidator {
             flow: flow
           });
         }
-      }
+      });
     });
-    
-    console.log(`📊 Graph built: ${this.interfaces.length} interfaces, ${this.connections.length} connections`);
   }
 
   /**
-   * Check if all interfaces are reachable from the entry point
+   * What rules check against: the interfaces, flows, reachability graph and navigation depths
    */
-  validateInterfaceReachability() {
-    const entryInterface = this.findEntryInterface();
-    if (!entryInterface) {
-      this.addValidationResult('reachability', 'fail', 
-        'No entry interface found (dashboard, login, home, or main)', []);
-      return;
-    }
-    
-    const reachableInterfaces = this.findReachableInterfaces(entryInterface.interfaceName);
-    const unreachableInterfaces = this.interfaces.filter(iface => 
-      !reachableInterfaces.has(iface.interfaceName) && iface.interfaceName !== entryInterface.interfaceName
-    );
-    
-    if (unreachableInterfaces.length > 0) {
-      this.addValidationResult('reachability', 'fail',
-        `${unreachableInterfaces.length} interfaces are unreachable from entry point`,
-        unreachableInterfaces.map(i => i.interfaceName),
-        unreachableInterfaces.map(i => `Add navigation path from ${entryInterface.interfaceName} to ${i.interfaceName}`)
-      );
-    } else {
-      this.addValidationResult('reachability', 'pass',
-        'All interfaces are reachable from entry point', []);
-    }
+  createRuleContext(entryInterface, navigation) {
+    return {
+      interfaces: this.interfaces,
+      logicFlows: this.logicFlows,
+      connections: this.connections,
+      graph: this.reachabilityGraph,
+      entryInterface,
+      navigation,
+      appTriggeredInterfaces: this.appTriggeredInterfaces,
+      findReachableInterfaces: (start, visited) => this.findReachableInterfaces(start, visited),
+      findStronglyConnectedComponents: () => this.findStronglyConnectedComponents()
+    };
   }
 
   /**
-   * Find interfaces with no outgoing connections (dead ends)
+   * Run one rule with its configured severity and options, dropping the
+   * findings an `# apml-disable` comment suppresses; one result per rule
    */
-  validateDeadEndInterfaces() {
-    const deadEndInterfaces = [];
+  runRule(rule, ruleConfig, context) {
+    const severity = ruleConfig.severity || rule.severity;
+    if (severity === RULE_OFF) return;
     
-    this.reachabilityGraph.forEach((node, interfaceName) => {
-      if (node.canReach.size === 0) {
-        // Allow certain interface types to be dead ends
-        const allowedDeadEnds = ['confirmation', 'success', 'error', 'logout'];
-        const isAllowedDeadEnd = allowedDeadEnds.some(type => 
-          interfaceName.toLowerCase().includes(type)
-        );
-        
-        if (!isAllowedDeadEnd) {
-          deadEndInterfaces.push(interfaceName);
-        }
-      }
-    });
+    const options = { ...rule.options, ...ruleConfig.options };
+    const findings = rule.check(context, options) || [];
+    const reported = findings.filter(finding => !this.isSuppressed(rule.id, finding));
+    const suppressed = findings.length - reported.length;
     
-    if (deadEndInterfaces.length > 0) {
-      this.addValidationResult('dead_ends', 'warning',
-        `${deadEndInterfaces.length} interfaces have no outgoing connections`,
-        deadEndInterfaces,
-        deadEndInterfaces.map(i => `Add navigation options from ${i} (back button, home button, etc.)`)
-      );
+    if (reported.length > 0) {
+      this.addValidationResult(rule.id, SEVERITY_STATUS[severity], rule.message(reported),
+        reported.flatMap(finding => finding.interfaces || finding.target || finding.interface || []),
+        reported.flatMap(finding => finding.fix || []),
+        { severity, suppressed, groups: reported.map(finding => finding.interfaces).filter(Boolean) });
     } else {
-      this.addValidationResult('dead_ends', 'pass',
-        'No problematic dead-end interfaces found', []);
+      this.addValidationResult(rule.id, 'pass', rule.passMessage, [], [], { severity, suppressed });
     }
   }
 
   /**
-   * Find interfaces with no incoming connections (orphaned)
+   * A finding is suppressed by a directive on its own node or on one of its interfaces
    */
-  validateOrphanedInterfaces() {
-    const entryInterface = this.findEntryInterface();
-    const orphanedInterfaces = [];
+  isSuppressed(ruleId, finding) {
+    const names = finding.interfaces || [finding.interface];
+    const ifaces = this.interfaces.filter(node => names.includes(node.interfaceName));
     
-    this.reachabilityGraph.forEach((node, interfaceName) => {
-      if (node.reachableFrom.size === 0 && interfaceName !== entryInterface?.interfaceName) {
-        orphanedInterfaces.push(interfaceName);
-      }
+    return [finding.node, ...ifaces.map(iface => iface.interfaceNode)].some(node => {
+      const suppressed = getSuppressedRules(node);
+      return suppressed.has('*') || suppressed.has(ruleId);
     });
-    
-    if (orphanedInterfaces.length > 0) {
-      this.addValidationResult('orphaned_interfaces', 'fail',
-        `${orphanedInterfaces.length} interfaces have no incoming connections`,
-        orphanedInterfaces,
-        orphanedInterfaces.map(i => `Add navigation path to ${i} from other interfaces`)
-      );
-    } else {
-      this.addValidationResult('orphaned_interfaces', 'pass',
-        'No orphaned interfaces found', []);
-    }
   }
 
   /**
-   * Validate that each interface has complete Trinity flows
+   * Find the entry interface: the scene's own entry, else the app's (`entry: true`,
+   * then dashboard, login, home, main)
+   */
+  findEntryInterface() {
+    const sceneEntry = this.interfaces.find(iface => iface.interfaceName === this.entryInterfaceName);
+    return sceneEntry || findEntryInterface(this.interfaces);
+  }
+
+  /**
+   * Find all interfaces reachable from a starting interface
    */
-  validateTrinityFlowCompleteness() {
-    const incompleteInterfaces = [];
+  findReachableInterfaces(startInterface, visited = new Set()) {
+    if (visited.has(startInterface)) {
+      return visited;
+    }
     
-    this.interfaces.forEach(iface => {
-      const trinityIssues = [];
-      
-      // Check SHOW: Interface must have visible elements
-      const hasShowElements = iface.availableActions && iface.availableActions.length > 0;
-      if (!hasShowElements) {
-        trinityIssues.push('Missing SHOW elements (no interactive actions defined)');
-      }
-      
-      // Check DO: Interface must have user actions
-      const node = this.reachabilityGraph.get(iface.interfaceName);
-      const hasUserActions = node && node.actions.size > 0;
-      if (!hasUserActions) {
-        trinityIssues.push('Missing DO actions (no user interactions defined)');
-      }
-      
-      // Check PROCESS: Actions must lead to state changes
-      const hasProcessLogic = this.logicFlows.some(flow => 
-        flow.fromInterface === iface.interfaceName
-      );
-      if (!hasProcessLogic) {
-        trinityIssues.push('Missing PROCESS logic (no flows from this interface)');
-      }
-      
-      if (trinityIssues.length > 0) {
-        incompleteInterfaces.push({
-          interface: iface.interfaceName,
-          issues: trinityIssues
-        });
-      }
-    });
+    visited.add(startInterface);
     
-    if (incompleteInterfaces.length > 0) {
-      this.addValidationResult('trinity_completeness', 'fail',
-        `${incompleteInterfaces.length} interfaces have incomplete Trinity flows`,
-        incompleteInterfaces.map(i => i.interface),
-        incompleteInterfaces.flatMap(i => 
-          i.issues.map(issue => `${i.interface}: ${issue}`)
-        )
-      );
-    } else {
-      this.addValidationResult('trinity_completeness', 'pass',
-        'All interfaces have complete Trinity flows', []);
+    const node = this.reachabilityGraph.get(startInterface);
+    if (node) {
+      node.canReach.forEach(reachableInterface => {
+        this.findReachableInterfaces(reachableInterface, visited);
+      });
     }
+    
+    return visited;
   }
 
   /**
-   * Validate that all user actions are covered by logic flows
+   * How many taps each interface is from each entry point (the entry interface
+   * and the interfaces app-wide triggers open), measured from every entry on its
+   * own so a screen that is deep from one entry is not hidden by a closer one.
+   * `depths` holds each interface's deepest depth and `deepestFrom` the entry it
+   * is measured from; unreachable interfaces have a depth of null. The longest
+   * path without repeats is the longest from any entry
    */
-  validateUserActionCoverage() {
-    const uncoveredActions = [];
+  measureNavigation(entryInterface, budget) {
+    const entryPoints = [...new Set([entryInterface?.interfaceName, ...this.appTriggeredInterfaces])]
+      .filter(name => this.reachabilityGraph.has(name));
+    const depthsByEntry = Object.fromEntries(entryPoints.map(entry => [entry, this.measureDepthsFrom(entry)]));
+    const depths = {};
+    const deepestFrom = {};
     
-    this.interfaces.forEach(iface => {
-      const availableActions = iface.availableActions || [];
-      
-      availableActions.forEach(action => {
-        const hasFlow = this.logicFlows.some(flow => 
-          flow.fromInterface === iface.interfaceName && 
-          (flow.trigger === action || flow.trigger === action.replace('_button', ''))
-        );
-        
-        if (!hasFlow) {
-          uncoveredActions.push({
-            interface: iface.interfaceName,
-            action: action
-          });
+    this.interfaces.forEach(({ interfaceName: name }) => {
+      depths[name] = null;
+      deepestFrom[name] = null;
+      entryPoints.forEach(entry => {
+        const depth = depthsByEntry[entry][name];
+        if (depth !== null && (depths[name] === null || depth > depths[name])) {
+          depths[name] = depth;
+          deepestFrom[name] = entry;
         }
       });
     });
     
-    if (uncoveredActions.length > 0) {
-      this.addValidationResult('action_coverage', 'warning',
-        `${uncoveredActions.length} user actions have no corresponding logic flows`,
-        uncoveredActions.map(a => `${a.interface}.${a.action}`),
-        uncoveredActions.map(a => 
-          `Add logic flow for ${a.action} in ${a.interface} interface`
-        )
-      );
-    } else {
-      this.addValidationResult('action_coverage', 'pass',
-        'All user actions have corresponding logic flows', []);
-    }
+    const reached = Object.values(depths).filter(depth => depth !== null);
+    const longestPaths = entryPoints.map(entry => this.findLongestPath(entry));
+    const longestPath = longestPaths.reduce((longest, path) => (path.taps > longest.taps ? path : longest),
+      { path: [], taps: 0, complete: true });
+    
+    return {
+      budget,
+      entryPoints,
+      depthsByEntry,
+      depths,
+      deepestFrom,
+      maxDepth: reached.length > 0 ? Math.max(...reached) : 0,
+      averageDepth: reached.length > 0
+        ? Math.round((reached.reduce((total, depth) => total + depth, 0) / reached.length) * 100) / 100
+        : 0,
+      longestPath: { ...longestPath, complete: longestPaths.every(path => path.complete) },
+      overBudget: Object.keys(depths)
+        .filter(name => depths[name] > budget)
+        .sort((a, b) => depths[b] - depths[a]),
+      unreachable: Object.keys(depths).filter(name => depths[name] === null)
+    };
   }
 
   /**
-   * Find the entry interface (dashboard, login, home, main)
+   * Taps from one interface to every other (breadth-first), null when it cannot reach one
    */
-  findEntryInterface() {
-    const entryTypes = ['dashboard', 'login', 'home', 'main'];
+  measureDepthsFrom(start) {
+    const depths = Object.fromEntries(this.interfaces.map(iface => [iface.interfaceName, null]));
+    const queue = [start];
+    depths[start] = 0;
     
-    for (const entryType of entryTypes) {
-      const entryInterface = this.interfaces.find(iface => 
-        iface.interfaceName.toLowerCase().includes(entryType)
-      );
-      if (entryInterface) {
-        return entryInterface;
-      }
+    while (queue.length > 0) {
+      const name = queue.shift();
+      this.reachabilityGraph.get(name).canReach.forEach(target => {
+        if (depths[target] === null) {
+          depths[target] = depths[name] + 1;
+          queue.push(target);
+        }
+      });
     }
     
-    // Fallback to first interface
-    return this.interfaces[0] || null;
+    return depths;
   }
 
   /**
-   * Find all interfaces reachable from a starting interface
+   * The longest path from an interface that visits no interface twice, as
+   * { path, taps, complete }. The search is exhaustive for small apps; past
+   * LONGEST_PATH_SEARCH_LIMIT steps it keeps the longest found and reports complete: false
    */
-  findReachableInterfaces(startInterface, visited = new Set()) {
-    if (visited.has(startInterface)) {
-      return visited;
+  findLongestPath(start) {
+    if (!this.reachabilityGraph.has(start)) {
+      return { path: [], taps: 0, complete: true };
     }
     
-    visited.add(startInterface);
+    let longest = [start];
+    let steps = 0;
     
-    const node = this.reachabilityGraph.get(startInterface);
-    if (node) {
-      node.canReach.forEach(reachableInterface => {
-        this.findReachableInterfaces(reachableInterface, visited);
+    const extend = (path, visited) => {
+      if (path.length > longest.length) longest = [...path];
+      
+      this.reachabilityGraph.get(path[path.length - 1]).canReach.forEach(target => {
+        if (visited.has(target) || steps >= LONGEST_PATH_SEARCH_LIMIT) return;
+        steps++;
+        visited.add(target);
+        path.push(target);
+        extend(path, visited);
+        path.pop();
+        visited.delete(target);
       });
-    }
+    };
     
-    return visited;
+    extend([start], new Set([start]));
+    
+    return { path: longest, taps: longest.length - 1, complete: steps < LONGEST_PATH_SEARCH_LIMIT };
+  }
+
+  /**
+   * Group interfaces into strongly connected components (Tarjan's algorithm):
+   * within a group every interface can reach every other one. Returns arrays
+   * of interface names, each group after the groups it leads to
+   */
+  findStronglyConnectedComponents() {
+    const components = [];
+    const stack = [];
+    const index = new Map();
+    const lowLink = new Map();
+    let counter = 0;
+    
+    const visit = (name) => {
+      index.set(name, counter);
+      lowLink.set(name, counter);
+      counter++;
+      stack.push(name);
+      
+      this.reachabilityGraph.get(name).canReach.forEach(target => {
+        if (!index.has(target)) {
+          visit(target);
+          lowLink.set(name, Math.min(lowLink.get(name), lowLink.get(target)));
+        } else if (stack.includes(target)) {
+          lowLink.set(name, Math.min(lowLink.get(name), index.get(target)));
+        }
+      });
+      
+      if (lowLink.get(name) === index.get(name)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          component.push(member);
+        } while (member !== name);
+        components.push(component.reverse());
+      }
+    };
+    
+    this.reachabilityGraph.forEach((node, name) => {
+      if (!index.has(name)) visit(name);
+    });
+    
+    return components;
   }
 
   /**
    * Add a validation result
    */
-  addValidationResult(type, status, message, affectedInterfaces = [], suggestedFixes = []) {
+  addValidationResult(type, status, message, affectedInterfaces = [], suggestedFixes = [], { severity = null, suppressed = 0, groups = [] } = {}) {
     this.validationResults.push({
       id: `${type}_${Date.now()}`,
       validationType: type,
-      status: status, // 'pass', 'fail', 'warning'
+      ruleId: type,
+      severity,
+      status: status, // 'pass', 'fail', 'warning', 'info'
       message: message,
       affectedInterfaces: affectedInterfaces,
+      affectedGroups: groups, // Findings about several interfaces at once, e.g. trap clusters
       suggestedFixes: suggestedFixes,
+      suppressedCount: suppressed,
       timestamp: new Date().toISOString()
     });
   }
@@ -322,6 +370,7 @@ export class TrinityCompletenessValidator {
     const passCount = this.validationResults.filter(r => r.status === 'pass').length;
     const failCount = this.validationResults.filter(r => r.status === 'fail').length;
     const warningCount = this.validationResults.filter(r => r.status === 'warning').length;
+    const infoCount = this.validationResults.filter(r => r.status === 'info').length;
     
     return {
       totalInterfaces: this.interfaces.length,
@@ -329,7 +378,11 @@ export class TrinityCompletenessValidator {
       passCount,
       failCount,
       warningCount,
-      completenessPercentage: Math.round((passCount / this.validationResults.length) * 100)
+      infoCount,
+      suppressedCount: this.validationResults.reduce((total, r) => total + r.suppressedCount, 0),
+      completenessPercentage: this.validationResults.length > 0
+        ? Math.round((passCount / this.validationResults.length) * 100)
+        : 100
     };
   }
 
@@ -0,0 +1,61 @@
+/**
+ * APML archive
+ * Packs exported project files into an uncompressed tar archive, the download
+ * fallback for browsers that cannot write a folder directly
+ */
+
+const BLOCK_SIZE = 512;
+
+function writeString(header, offset, length, text) {
+  const bytes = new TextEncoder().encode(text);
+  header.set(bytes.subarray(0, length), offset);
+}
+
+function writeOctal(header, offset, length, value) {
+  writeString(header, offset, length, `${value.toString(8).padStart(length - 1, '0')}\0`);
+}
+
+function createHeader(path, size, mtime) {
+  const header = new Uint8Array(BLOCK_SIZE);
+
+  writeString(header, 0, 100, path);
+  writeOctal(header, 100, 8, 0o644);
+  writeOctal(header, 108, 8, 0);
+  writeOctal(header, 116, 8, 0);
+  writeOctal(header, 124, 12, size);
+  writeOctal(header, 136, 12, mtime);
+  writeString(header, 148, 8, '        ');
+  writeString(header, 156, 1, '0');
+  writeString(header, 257, 8, 'ustar\u000000');
+
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  writeString(header, 148, 8, `${checksum.toString(8).padStart(6, '0')}\0 `);
+
+  return header;
+}
+
+/**
+ * Tar archive of [{ path, content }] with every file under `folder/`
+ */
+export function createTarArchive(files, folder) {
+  const mtime = Math.floor(Date.now() / 1000);
+  const blocks = [];
+
+  files.forEach(({ path, content }) => {
+    const data = new TextEncoder().encode(content);
+    const padding = (BLOCK_SIZE - (data.length % BLOCK_SIZE)) % BLOCK_SIZE;
+
+    blocks.push(createHeader(`${folder}/${path}`, data.length, mtime), data, new Uint8Array(padding));
+  });
+
+  // Two empty blocks mark the end of the archive
+  blocks.push(new Uint8Array(BLOCK_SIZE * 2));
+
+  const archive = new Uint8Array(blocks.reduce((size, block) => size + block.length, 0));
+  blocks.reduce((offset, block) => {
+    archive.set(block, offset);
+    return offset + block.length;
+  }, 0);
+
+  return archive;
+}
@@ -0,0 +1,84 @@
+/**
+ * APML AST helpers
+ * Shared queries over the document produced by APMLParser
+ */
+
+/**
+ * All top-level declarations of a given type (app, data, interface, logic, block)
+ */
+export function getDeclarations(ast, type) {
+  return (ast?.body || []).filter(node => node.type === type);
+}
+
+/**
+ * Find a top-level declaration by type and name
+ */
+export function findDeclaration(ast, type, name) {
+  return getDeclarations(ast, type).find(node => node.name === name) || null;
+}
+
+/**
+ * Depth-first walk over the show blocks and elements of an interface
+ * (or any node with shows/elements/children), calling visit(node, ancestors)
+ */
+export function walkElements(node, visit, ancestors = []) {
+  const children = node.shows || node.elements || node.children || [];
+
+  children.forEach(child => {
+    visit(child, ancestors);
+    walkElements(child, visit, [...ancestors, child]);
+  });
+}
+
+/**
+ * Depth-first walk over a statement list, including nested branches
+ * (an if statement's children, then its alternate)
+ */
+export function walkStatements(statements, visit, ancestors = []) {
+  (statements || []).forEach(statement => {
+    visit(statement, ancestors);
+    walkStatements(statement.children, visit, [...ancestors, statement]);
+    walkStatements(statement.alternate, visit, [...ancestors, statement]);
+  });
+}
+
+/**
+ * A node's doc comment: the text of the comments above it, without the "#"
+ * markers and banner lines made only of punctuation
+ */
+export function getDocComment(node) {
+  return (node?.leadingComments || [])
+    .map(comment => comment.text.replace(/^#+\s?/, '').trim())
+    .filter(line => /[\p{L}\p{N}]/u.test(line) && !/^apml-disable\b/.test(line))
+    .join('\n');
+}
+
+/**
+ * Strip surrounding quotes from a scalar value
+ */
+export function unquote(value) {
+  if (typeof value !== 'string') return value;
+  const match = value.match(/^(["'])([\s\S]*)\1$/);
+  return match ? match[2] : value;
+}
+
+/**
+ * Convert a scalar value to a JS value: quoted strings, booleans,
+ * numbers and [a, b] lists; anything else is returned as written
+ */
+export function parseScalar(value) {
+  if (typeof value !== 'string') return value;
+  const text = value.trim();
+
+  if (/^(["']).*\1$/.test(text)) return unquote(text);
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+
+  const list = text.match(/^\[(.*)\]$/);
+  if (list) {
+    return (list[1].match(/"[^"]*"|'[^']*'|[^,\s][^,]*/g) || []).map(item => parseScalar(item.trim()));
+  }
+
+  return text;
+}
@@ -0,0 +1,255 @@
+/**
+ * APML components
+ * Expands `use component_name` elements into component instances: the component
+ * body with its parameters substituted and its slots filled from the use site
+ */
+
+import { getDeclarations, unquote, walkElements } from './apmlAst.js';
+import { isQueryExpression, parseQuery } from './apmlQuery.js';
+
+const MAX_COMPONENT_DEPTH = 10;
+
+/**
+ * Split a parameter or argument list on commas outside quotes and brackets
+ */
+export function splitArguments(text) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (const char of text || '') {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if ('[({'.includes(char)) {
+      depth++;
+    } else if (')]}'.includes(char)) {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      if (current.trim()) parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Parse `name` / `name = default` pairs from a component signature
+ */
+export function parseParameters(text) {
+  return splitArguments(text).map(part => {
+    const match = part.match(/^(\w+)(?:\s*[=:]\s*(.+))?$/);
+    if (!match) return { name: null, text: part };
+    return { name: match[1], default: match[2] ?? null, required: match[2] === undefined };
+  });
+}
+
+/**
+ * Replace parameter references in an element value: a bare `param`, `param.field`
+ * and `{param}` inside quoted text
+ */
+function substitute(value, scope) {
+  if (typeof value !== 'string' || Object.keys(scope).length === 0) return value;
+
+  if (Object.prototype.hasOwnProperty.call(scope, value)) {
+    return scope[value];
+  }
+
+  const member = value.match(/^(\w+)(\..+)$/);
+  if (member && Object.prototype.hasOwnProperty.call(scope, member[1]) && /^[\w.]+$/.test(scope[member[1]])) {
+    return `${scope[member[1]]}${member[2]}`;
+  }
+
+  return value.replace(/\{(\w+)\}/g, (text, name) =>
+    Object.prototype.hasOwnProperty.call(scope, name) ? unquote(scope[name]) : text);
+}
+
+/**
+ * Expand every `use` element in the document's interfaces (and in component
+ * bodies used by them). Returns problems as { severity, code, message, loc, text }
+ */
+export function expandComponents(ast) {
+  const problems = [];
+  const components = new Map();
+
+  const report = (severity, code, message, node) => {
+    problems.push({ severity, code, message, loc: node.loc, text: node.text || node.component || node.name });
+  };
+
+  getDeclarations(ast, 'component').forEach(component => {
+    if (components.has(component.name)) {
+      report('error', 'duplicate-component', `Component "${component.name}" is already defined`, component);
+      return;
+    }
+    components.set(component.name, component);
+  });
+
+  const expandList = (nodes, scope, stack) => (nodes || []).flatMap(node => expandNode(node, scope, stack));
+
+  const expandNode = (node, scope, stack) => {
+    switch (node.type) {
+      case 'use':
+        return [instantiate(node, scope, stack)];
+      case 'show':
+        return [{ ...node, elements: expandList(node.elements, scope, stack) }];
+      case 'slot':
+        // Inside a component body the slot stays until the instance fills it
+        if (stack.length > 0) {
+          return [{ ...node, elements: expandList(node.elements, scope, stack) }];
+        }
+        report('warning', 'slot-outside-component', `"slot ${node.name}" is only allowed inside a component`, node);
+        return [];
+      case 'element': {
+        const value = substitute(node.value, scope);
+        return [{
+          ...node,
+          value,
+          query: value !== node.value && isQueryExpression(value) ? parseQuery(value) : node.query,
+          children: expandList(node.children, scope, stack)
+        }];
+      }
+      case 'for_each': {
+        // The loop variable shadows a parameter of the same name
+        const inner = { ...scope };
+        delete inner[node.variable];
+        const queryText = substitute(node.queryText, scope);
+        return [{
+          ...node,
+          queryText,
+          query: queryText !== node.queryText ? parseQuery(queryText) : node.query,
+          elements: expandList(node.elements, inner, stack)
+        }];
+      }
+      default:
+        return [node];
+    }
+  };
+
+  const instantiate = (use, scope, stack) => {
+    const component = components.get(use.component);
+    const instance = {
+      type: 'component_instance',
+      component: use.component,
+      name: use.alias || use.component,
+      args: {},
+      elements: [],
+      loc: use.loc
+    };
+
+    if (!component) {
+      const known = [...components.keys()];
+      report('error', 'unknown-component',
+        `Unknown component "${use.component}"${known.length ? ` (defined: ${known.join(', ')})` : ''}`, use);
+      return instance;
+    }
+
+    if (stack.includes(component.name) || stack.length >= MAX_COMPONENT_DEPTH) {
+      report('error', 'recursive-component',
+        `Component "${component.name}" uses itself (${[...stack, component.name].join(' -> ')})`, use);
+      return instance;
+    }
+
+    // Positional arguments fill parameters in order, named ones by name
+    const params = component.params.filter(param => param.name);
+    use.args.forEach((arg, index) => {
+      const name = arg.name || params[index]?.name;
+      if (!name || !params.some(param => param.name === name)) {
+        report('warning', 'unknown-argument',
+          `Component "${component.name}" has no parameter "${arg.name || arg.value}"`, arg);
+        return;
+      }
+      instance.args[name] = substitute(arg.value, scope);
+    });
+
+    params.forEach(param => {
+      if (instance.args[param.name] !== undefined) return;
+      if (param.required) {
+        report('warning', 'missing-argument',
+          `Component "${component.name}" expects a value for "${param.name}"`, use);
+        return;
+      }
+      instance.args[param.name] = param.default;
+    });
+
+    const fills = new Map();
+    use.fills.forEach(fill => {
+      if (!component.slots.includes(fill.name)) {
+        report('warning', 'unknown-slot', `Component "${component.name}" has no slot "${fill.name}"`, fill);
+        return;
+      }
+      // Slot content belongs to the use site, so it sees the caller's parameters
+      fills.set(fill.name, expandList(fill.elements, scope, stack));
+    });
+
+    const fillSlots = nodes => nodes.flatMap(node => {
+      if (node.type === 'slot') {
+        return fills.has(node.name) ? fills.get(node.name) : fillSlots(node.elements);
+      }
+      if (['show', 'component_instance', 'for_each'].includes(node.type)) {
+        return [{ ...node, elements: fillSlots(node.elements) }];
+      }
+      if (node.type === 'element') return [{ ...node, children: fillSlots(node.children) }];
+      return [node];
+    });
+
+    instance.elements = fillSlots(expandList(component.elements, instance.args, [...stack, component.name]));
+    return instance;
+  };
+
+  getDeclarations(ast, 'interface').forEach(iface => {
+    iface.shows = expandList(iface.shows, {}, []);
+  });
+
+  return problems;
+}
+
+/**
+ * Top-level component instances of an interface (instances nested inside
+ * another instance are part of that instance)
+ */
+export function getComponentInstances(interfaceNode) {
+  const instances = [];
+
+  walkElements(interfaceNode, (node, ancestors) => {
+    if (node.type === 'component_instance' && !ancestors.some(ancestor => ancestor.type === 'component_instance')) {
+      instances.push(node);
+    }
+  });
+
+  return instances;
+}
+
+/**
+ * All components in a document as { name, params, slots, usedBy: [interface names], instanceCount, node }
+ */
+export function getComponents(ast) {
+  const interfaces = getDeclarations(ast, 'interface');
+
+  return getDeclarations(ast, 'component').map(node => {
+    const usedBy = [];
+    let instanceCount = 0;
+
+    interfaces.forEach(iface => {
+      walkElements(iface, child => {
+        if (child.type !== 'component_instance' || child.component !== node.name) return;
+        instanceCount++;
+        if (!usedBy.includes(iface.name)) usedBy.push(iface.name);
+      });
+    });
+
+    return {
+      name: node.name,
+      params: node.params.filter(param => param.name),
+      slots: node.slots,
+      usedBy,
+      instanceCount,
+      node
+    };
+  });
+}
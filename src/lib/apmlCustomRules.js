@@ -0,0 +1,21 @@
+/**
+ * APML custom validation rules
+ * A team's own rules go in CUSTOM_RULES. The pipeline imports this module, so
+ * they run wherever validation runs: in the pipeline worker, or on the page
+ * when workers are not available. Registering a rule from page code does not
+ * reach the worker.
+ *
+ *   import { noSettingsRule } from '../rules/noSettings.js';
+ *
+ *   export const CUSTOM_RULES = [noSettingsRule];
+ *
+ * A rule is { id, description, severity, options, check(context, options),
+ * message(findings), passMessage } (see registerValidationRule); its id can be
+ * configured in the app header's `validation:` block like any built-in rule.
+ */
+
+import { registerValidationRule } from './apmlRules.js';
+
+export const CUSTOM_RULES = [];
+
+CUSTOM_RULES.forEach(registerValidationRule);
@@ -0,0 +1,185 @@
+/**
+ * APML elements
+ * Reads the show blocks of an interface into a tree of typed elements, so
+ * compilers, mockups and validators work from what a screen shows instead of
+ * guessing from interface names. Kinds follow the naming conventions in
+ * llm-reference.txt: `*_button` is a button, `*_input` or a `placeholder` an
+ * input, `Model[]` a list, `src` / `alt` an image, and so on.
+ */
+
+import { parseScalar, unquote } from './apmlAst.js';
+import { splitArguments } from './apmlComponents.js';
+import { isQueryExpression, parseQuery } from './apmlQuery.js';
+
+export const ELEMENT_KINDS = ['button', 'input', 'select', 'list', 'text', 'image', 'stat', 'badge', 'progress', 'container'];
+
+// Leaf lines under an element that describe it rather than add a child element
+const CONTENT_PROPERTIES = [
+  'text', 'title', 'subtitle', 'description', 'label', 'placeholder', 'type', 'value', 'number', 'emoji', 'icon',
+  'src', 'alt', 'options', 'action', 'min', 'max', 'rows', 'required', 'disabled', 'checked', 'selected', 'active',
+  'variant', 'href', 'message'
+];
+const PRESENTATION_PROPERTIES = [
+  'style', 'layout', 'gap', 'padding', 'margin', 'scroll', 'position', 'size', 'width', 'height', 'color',
+  'text_color', 'background', 'border', 'border_radius', 'animation', 'animation_delay', 'hover_effect',
+  'gradient_text', 'align', 'columns'
+];
+const PROPERTY_KEYS = new Set([...CONTENT_PROPERTIES, ...PRESENTATION_PROPERTIES]);
+
+// `type:` values that make an element an input
+const INPUT_TYPES = ['text', 'password', 'email', 'number', 'tel', 'url', 'search', 'date', 'time', 'textarea', 'checkbox'];
+
+/**
+ * What a query yields: a number (`Task.count`), one record (`Project.first`) or a list
+ */
+function queryResult(query) {
+  const last = query?.operations[query.operations.length - 1];
+  if (last?.op === 'count') return 'number';
+  if (['first', 'find', 'index'].includes(last?.op)) return 'record';
+  return query?.source?.kind === 'model' ? 'list' : 'value';
+}
+
+/**
+ * `{ text: "Save", type: password }` written inline as an element's value
+ */
+function parseInlineProperties(value) {
+  const match = typeof value === 'string' && value.trim().match(/^\{(.*)\}$/);
+  if (!match) return null;
+
+  return Object.fromEntries(splitArguments(match[1])
+    .map(part => part.match(/^(\w+)\s*:\s*(.*)$/))
+    .filter(Boolean)
+    .map(([, key, text]) => [key, text.trim()]));
+}
+
+function isProperty(child) {
+  return child.type === 'element' && PROPERTY_KEYS.has(child.name) && (child.children || []).length === 0;
+}
+
+/**
+ * The kind of an element from its name, properties and value
+ */
+function classify(node, properties, children, query) {
+  const name = node.name || '';
+  const type = String(unquote(properties.type ?? '')).toLowerCase();
+
+  if (node.type === 'for_each') return 'list';
+  if (node.type === 'show' || node.type === 'component_instance') {
+    return children.length === 0 && properties.action ? 'button' : 'container';
+  }
+
+  if (/(^|_)button$/.test(name) || (properties.action && children.length === 0)) return 'button';
+  if (/_(select|dropdown|picker)$/.test(name) || properties.options !== undefined) return 'select';
+  if (/_(input|field|textarea)$/.test(name) || properties.placeholder !== undefined || INPUT_TYPES.includes(type)) {
+    return 'input';
+  }
+  if (query && queryResult(query) === 'list') return 'list';
+  if (query && queryResult(query) === 'number') return 'stat';
+  if (children.length > 0) return 'container';
+  if (properties.src !== undefined || /(^|_)(image|img|photo|picture|logo)$/.test(name)) return 'image';
+  if (/(^|_)progress(_bar|_ring)?$/.test(name)) return 'progress';
+  if (/(^|_)(badge|tag|chip|status)$/.test(name)) return 'badge';
+  if (properties.number !== undefined || /(^|_)(count|total|stat)(_|$)/.test(name)) return 'stat';
+  if (/(^|_)list$/.test(name)) return 'list';
+  return 'text';
+}
+
+/**
+ * Kind-specific fields: a button's action, an input's type, a select's
+ * options, a list's query and loop variable
+ */
+function kindFields(kind, node, properties, query) {
+  switch (kind) {
+    case 'button':
+      return { action: properties.action ? String(unquote(properties.action)) : node.name.replace(/_button$/, '') };
+    case 'input': {
+      const type = String(unquote(properties.type ?? '')).toLowerCase();
+      const textarea = /_textarea$/.test(node.name) || type === 'textarea' || properties.rows !== undefined;
+      return { inputType: textarea ? 'textarea' : INPUT_TYPES.includes(type) ? type : 'text' };
+    }
+    case 'select': {
+      const options = properties.options !== undefined ? parseScalar(properties.options) : [];
+      return { options: Array.isArray(options) ? options : [options] };
+    }
+    case 'list':
+      return node.type === 'for_each'
+        ? { query: node.query, variable: node.variable }
+        : { query: query || null, model: query?.source?.kind === 'model' ? query.source.name : null };
+    default:
+      return query ? { query } : {};
+  }
+}
+
+/**
+ * One typed element for a show block, element, loop or component instance
+ */
+export function buildElement(node) {
+  const nodes = node.elements || node.children || [];
+  const inline = node.type === 'element' && !node.block ? parseInlineProperties(node.value) : null;
+  const value = node.type === 'element' && !inline ? node.value ?? null : null;
+
+  const properties = { ...inline };
+  nodes.filter(isProperty).forEach(child => {
+    properties[child.name] = child.block ? child.block.value : child.value;
+  });
+
+  const children = buildElements(nodes.filter(child => !isProperty(child)));
+  const query = node.query && !node.query.error ? node.query
+    : !node.block && isQueryExpression(value) ? parseQuery(value) : null;
+  const kind = classify(node, properties, children, node.type === 'for_each' ? node.query : query);
+
+  return {
+    id: node.id || null,
+    kind,
+    name: node.type === 'for_each' ? node.variable : node.name,
+    value,
+    ...(node.block ? { block: true } : {}),
+    ...(node.type === 'component_instance' ? { component: node.component } : {}),
+    ...kindFields(kind, node, properties, query),
+    properties,
+    children,
+    loc: node.loc,
+    node
+  };
+}
+
+export function buildElements(nodes) {
+  return (nodes || [])
+    .filter(node => ['show', 'element', 'for_each', 'component_instance'].includes(node.type))
+    .map(buildElement);
+}
+
+/**
+ * The typed element tree of an interface: one element per show block
+ */
+export function buildElementTree(interfaceNode) {
+  return buildElements(interfaceNode?.shows);
+}
+
+/**
+ * Depth-first walk over a typed element tree, calling visit(element, ancestors)
+ */
+export function walkElementTree(elements, visit, ancestors = []) {
+  (elements || []).forEach(element => {
+    visit(element, ancestors);
+    walkElementTree(element.children, visit, [...ancestors, element]);
+  });
+}
+
+/**
+ * Every element of the given kinds, in document order
+ */
+export function findElements(elements, ...kinds) {
+  const found = [];
+  walkElementTree(elements, element => {
+    if (kinds.includes(element.kind)) found.push(element);
+  });
+  return found;
+}
+
+/**
+ * The actions a screen offers: one per button, without duplicates
+ */
+export function getElementActions(elements) {
+  return [...new Set(findElements(elements, 'button').map(button => button.action))];
+}
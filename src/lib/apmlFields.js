@@ -0,0 +1,280 @@
+/**
+ * APML data fields
+ * Typed descriptors for `data` model fields ("text required", enum[...], array<T>,
+ * map<K, V>, foreign_key<Model>, Model[]) and sample values generated from them
+ */
+
+import { getDeclarations, parseScalar } from './apmlAst.js';
+import { BLOCK_SCALAR } from './APMLTokenizer.js';
+
+export const FIELD_MODIFIERS = ['required', 'optional', 'unique', 'auto', 'default'];
+
+const SAMPLE_EMOJI = ['📱', '🤖', '🔒', '🚀', '🎨'];
+
+/**
+ * Split text on whitespace (or a separator) outside quotes and brackets
+ */
+function splitTopLevel(text, separator = /\s/) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[' || char === '<') {
+      depth++;
+    } else if (char === ']' || char === '>') {
+      depth--;
+    } else if (depth === 0 && separator.test(char)) {
+      if (current.trim()) parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Parse a type expression (without modifiers) into { type, enumValues, items, keyType, valueType, reference }.
+ * Unparseable types come back as { type: 'unknown', error }
+ */
+export function parseFieldType(text) {
+  // A literal value ("Svelte + Vite", 42, true) makes the field a constant
+  if (/^(["']).*\1$|^-?\d+(\.\d+)?$|^(true|false)$/.test(text)) {
+    return { type: 'constant', value: parseScalar(text) };
+  }
+
+  // | and > (with any indicators) introduce a block of text on the following lines
+  if (BLOCK_SCALAR.test(text)) {
+    return { type: 'text' };
+  }
+
+  const enumMatch = text.match(/^enum\[(.*)\]$/);
+  if (enumMatch) {
+    const enumValues = parseScalar(`[${enumMatch[1]}]`);
+    if (enumValues.length === 0) {
+      return { type: 'unknown', error: 'enum has no members' };
+    }
+    return { type: 'enum', enumValues };
+  }
+
+  const arrayMatch = text.match(/^(?:array|list)<(.+)>$/);
+  if (arrayMatch) {
+    const items = parseFieldType(arrayMatch[1].trim());
+    return items.error ? items : { type: 'array', items };
+  }
+
+  const mapMatch = text.match(/^map<(.+)>$/);
+  if (mapMatch) {
+    const [keyText, valueText] = splitTopLevel(mapMatch[1], /,/);
+    if (!keyText || !valueText) {
+      return { type: 'unknown', error: 'map needs a key and a value type' };
+    }
+    return { type: 'map', keyType: parseFieldType(keyText), valueType: parseFieldType(valueText) };
+  }
+
+  const foreignKeyMatch = text.match(/^foreign_key<(\w+)>$/);
+  if (foreignKeyMatch) {
+    return { type: 'foreign_key', reference: foreignKeyMatch[1] };
+  }
+
+  const listMatch = text.match(/^(\w+)\[\]$/);
+  if (listMatch) {
+    return { type: 'array', items: parseFieldType(listMatch[1]) };
+  }
+
+  // Capitalised names refer to other data models
+  if (/^[A-Z]\w*$/.test(text)) {
+    return { type: 'reference', reference: text };
+  }
+
+  if (/^\w+$/.test(text)) {
+    return { type: text };
+  }
+
+  return { type: 'unknown', error: `"${text}" is not a valid type` };
+}
+
+/**
+ * Parse a field value such as `text required` or `text default "draft"` into a descriptor.
+ * Returns { descriptor, problems } where problems are { severity, code, message }
+ */
+export function parseFieldDescriptor(name, raw) {
+  const problems = [];
+  const [typeText = '', ...modifiers] = splitTopLevel(raw || '');
+  const { error, value, ...type } = parseFieldType(typeText);
+
+  if (error) {
+    problems.push({ severity: 'error', code: 'invalid-field-type', message: `Field "${name}": ${error}` });
+  }
+
+  const descriptor = {
+    name,
+    raw,
+    enumValues: null,
+    items: null,
+    keyType: null,
+    valueType: null,
+    reference: null,
+    ...type,
+    required: false,
+    unique: type.type === 'unique_id',
+    auto: type.type === 'unique_id',
+    hasDefault: type.type === 'constant',
+    default: type.type === 'constant' ? value : null
+  };
+
+  for (let i = 0; i < modifiers.length; i++) {
+    const modifier = modifiers[i];
+
+    switch (modifier) {
+      case 'required':
+      case 'unique':
+      case 'auto':
+        descriptor[modifier] = true;
+        break;
+      case 'optional':
+        descriptor.required = false;
+        break;
+      case 'default':
+        if (i + 1 >= modifiers.length) {
+          problems.push({ severity: 'error', code: 'invalid-default', message: `Field "${name}": "default" needs a value` });
+          break;
+        }
+        descriptor.hasDefault = true;
+        descriptor.default = parseScalar(modifiers[++i]);
+        break;
+      default:
+        problems.push({
+          severity: 'warning',
+          code: 'unknown-field-modifier',
+          message: `Field "${name}": unknown modifier "${modifier}" (expected ${FIELD_MODIFIERS.join(', ')})`
+        });
+    }
+  }
+
+  if (descriptor.hasDefault && descriptor.type === 'enum' && !descriptor.enumValues.includes(descriptor.default)) {
+    problems.push({
+      severity: 'error',
+      code: 'invalid-default',
+      message: `Field "${name}": default ${JSON.stringify(descriptor.default)} is not one of ${descriptor.enumValues.join(', ')}`
+    });
+  }
+
+  return { descriptor, problems };
+}
+
+/**
+ * Canonical type text for a descriptor, e.g. array<enum["a", "b"]>
+ */
+export function formatFieldType(descriptor) {
+  switch (descriptor.type) {
+    case 'enum':
+      return `enum[${descriptor.enumValues.map(value => JSON.stringify(value)).join(', ')}]`;
+    case 'array':
+      return descriptor.items ? `array<${formatFieldType(descriptor.items)}>` : 'array';
+    case 'map':
+      return `map<${formatFieldType(descriptor.keyType)}, ${formatFieldType(descriptor.valueType)}>`;
+    case 'foreign_key':
+      return `foreign_key<${descriptor.reference}>`;
+    case 'reference':
+      return descriptor.reference;
+    case 'constant':
+      return JSON.stringify(descriptor.default);
+    default:
+      return descriptor.type;
+  }
+}
+
+/**
+ * The data model a field points at (foreign_key<Model>, Model, Model[], array<Model>), or null
+ */
+export function getFieldReference(descriptor) {
+  return descriptor.reference || descriptor.items?.reference || null;
+}
+
+/**
+ * All data models in a document as { name, fields: [descriptor], node }
+ */
+export function getDataModels(ast) {
+  return getDeclarations(ast, 'data').map(node => ({
+    name: node.name,
+    fields: node.fields.map(field => field.descriptor),
+    node
+  }));
+}
+
+function humanize(name) {
+  const words = name.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Deterministic sample value for the index-th record
+ */
+export function generateSampleValue(descriptor, index = 0) {
+  if (descriptor.hasDefault) return descriptor.default;
+
+  switch (descriptor.type) {
+    case 'unique_id':
+    case 'foreign_key':
+    case 'reference':
+      return index + 1;
+    case 'enum':
+      return descriptor.enumValues[index % descriptor.enumValues.length];
+    case 'integer':
+    case 'number':
+      return 3 + index * 7;
+    case 'percentage':
+      return (25 + index * 37) % 100;
+    case 'currency':
+      return 1000 * (index + 1);
+    case 'boolean':
+      return index % 2 === 0;
+    case 'date':
+    case 'datetime':
+    case 'timestamp':
+      return new Date(Date.UTC(2024, 0, 1 + index)).toISOString();
+    case 'emoji':
+      return SAMPLE_EMOJI[index % SAMPLE_EMOJI.length];
+    case 'email':
+      return `user${index + 1}@example.com`;
+    case 'array':
+      if (!descriptor.items) return [];
+      return [0, 1].map(offset => generateSampleValue({ ...descriptor.items, name: descriptor.name }, index + offset));
+    case 'map':
+    case 'object':
+      return {};
+    default:
+      return `${humanize(descriptor.name)} ${index + 1}`;
+  }
+}
+
+/**
+ * Sample records for a data model; values from `presets` win over generated ones
+ * for fields the model declares
+ */
+export function generateSampleRecords(model, count = 3, presets = []) {
+  return Array.from({ length: Math.max(count, presets.length) }, (_, index) => {
+    const record = {};
+    model.fields.forEach(field => {
+      const preset = presets[index]?.[field.name];
+      record[field.name] = preset !== undefined ? preset : generateSampleValue(field, index);
+    });
+    return record;
+  });
+}
+
+/**
+ * Preview records for every data model, keyed by model name
+ */
+export function generatePreviewData(models, count = 3) {
+  return Object.fromEntries((models || []).map(model => [model.name, generateSampleRecords(model, count)]));
+}
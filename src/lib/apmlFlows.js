@@ -0,0 +1,121 @@
+/**
+ * APML message flows
+ * The three Trinity flows built from the AST: the app SHOWs interfaces to the
+ * user (App→User), the user DOes something on an interface (User→App), and the
+ * app processes it (App→App). Flow endpoints are node IDs: the app, interfaces,
+ * processes and data models.
+ */
+
+import { findDeclaration, getDeclarations, walkStatements } from './apmlAst.js';
+import { USER_TRIGGER_KINDS } from './APMLGrammar.js';
+
+export const MESSAGE_FLOW_TYPES = {
+  app_to_user: { label: 'App→User', description: 'SHOW', color: '#10b981' },
+  user_to_app: { label: 'User→App', description: 'DO', color: '#2563eb' },
+  app_to_app: { label: 'App→App', description: 'PROCESS', color: '#f59e0b' }
+};
+
+const APP_TO_USER_STATEMENTS = ['redirect', 'show'];
+
+/**
+ * All message flows in a document as { id, type, fromNode, toNode, triggerMessage,
+ * colorCode, interfaceName, processName, loc }
+ */
+export function buildMessageFlows(ast) {
+  const flows = [];
+  const appId = getDeclarations(ast, 'app')[0]?.id || 'app';
+  const interfaceId = name => findDeclaration(ast, 'interface', name)?.id || null;
+
+  const addFlow = (type, sourceId, fields) => {
+    flows.push({
+      id: `${type}:${sourceId}`,
+      type,
+      flowType: type,
+      colorCode: MESSAGE_FLOW_TYPES[type].color,
+      isActive: false,
+      interfaceName: null,
+      processName: null,
+      ...fields
+    });
+  };
+
+  // SHOW: every show block the app renders on an interface
+  getDeclarations(ast, 'interface').forEach(iface => {
+    iface.shows.filter(show => show.type === 'show').forEach(show => {
+      addFlow('app_to_user', show.id, {
+        fromNode: appId,
+        toNode: iface.id,
+        triggerMessage: `show ${show.name}`,
+        interfaceName: iface.name,
+        loc: show.loc
+      });
+    });
+  });
+
+  getDeclarations(ast, 'logic').forEach(logic => {
+    logic.processes.forEach(process => {
+      const trigger = process.trigger;
+
+      // DO: a user trigger on each interface it is bound to; app-wide triggers start the process from the app
+      if (trigger && USER_TRIGGER_KINDS.includes(trigger.kind)) {
+        (trigger.sources || []).forEach(source => {
+          addFlow('user_to_app', `${process.id}/on:${source}`, {
+            fromNode: interfaceId(source),
+            toNode: process.id,
+            triggerMessage: trigger.text,
+            interfaceName: source,
+            processName: process.name,
+            loc: trigger.loc
+          });
+        });
+      } else if (trigger) {
+        addFlow('app_to_app', `${process.id}/trigger`, {
+          fromNode: appId,
+          toNode: process.id,
+          triggerMessage: `when ${trigger.text}`,
+          processName: process.name,
+          loc: trigger.loc
+        });
+      }
+
+      // PROCESS: what the app does, and the screens it shows as a result
+      let index = 0;
+      walkStatements(process.statements, statement => {
+        if (['if', 'else'].includes(statement.kind)) return;
+        index++;
+
+        if (APP_TO_USER_STATEMENTS.includes(statement.kind)) {
+          const target = statement.kind === 'redirect' ? statement.target : trigger?.sources?.[0];
+          addFlow('app_to_user', `${process.id}/statement:${index}`, {
+            fromNode: process.id,
+            toNode: interfaceId(target) || appId,
+            triggerMessage: statement.text,
+            interfaceName: findDeclaration(ast, 'interface', target) ? target : null,
+            processName: process.name,
+            loc: statement.loc
+          });
+          return;
+        }
+
+        const model = statement.model && findDeclaration(ast, 'data', statement.model);
+        addFlow('app_to_app', `${process.id}/statement:${index}`, {
+          fromNode: process.id,
+          toNode: model ? model.id : appId,
+          triggerMessage: statement.text,
+          processName: process.name,
+          loc: statement.loc
+        });
+      });
+    });
+  });
+
+  return flows;
+}
+
+/**
+ * Number of flows of each type
+ */
+export function countMessageFlows(flows) {
+  return Object.fromEntries(Object.keys(MESSAGE_FLOW_TYPES).map(type =>
+    [type, (flows || []).filter(flow => flow.type === type).length]));
+}
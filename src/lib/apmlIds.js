@@ -0,0 +1,92 @@
+/**
+ * APML node IDs
+ * Stable IDs derived from a node's definition path, e.g.
+ * interface:dashboard/show:app_header/button:search, so the same definition keeps
+ * its identity when the document is re-parsed or edited elsewhere. In a document
+ * with apps the path starts at the owning app: app:Shop/interface:dashboard
+ */
+
+const ID_SEPARATOR = '/';
+
+/**
+ * The `kind:name` segment a node adds to its path, or null for nodes without one
+ */
+export function getIdSegment(node) {
+  switch (node.type) {
+    case 'app':
+    case 'data':
+    case 'component':
+    case 'interface':
+    case 'logic':
+    case 'field':
+    case 'show':
+    case 'slot':
+    case 'process':
+    case 'scene':
+      return `${node.type}:${node.name}`;
+    case 'block':
+      return node.name ? `${node.keyword}:${node.name}` : node.keyword;
+    case 'component_instance':
+      return `use:${node.name}`;
+    case 'for_each':
+      return `each:${node.variable}`;
+    case 'element': {
+      const button = node.name.match(/^(\w+)_button$/);
+      return button ? `button:${button[1]}` : `element:${node.name}`;
+    }
+    default:
+      return null;
+  }
+}
+
+function getChildNodes(node) {
+  return [
+    ...(node.fields || []),
+    ...(node.shows || []),
+    ...(node.elements || []),
+    ...(node.children || []),
+    ...(node.processes || [])
+  ];
+}
+
+/**
+ * Give every declaration, field, show, element and process an `id`. A sibling
+ * with the same segment gets a #2, #3... suffix in document order. Declarations
+ * sit under the app that owns them (see assignApps), so each app numbers its own
+ * names and reordering apps keeps every ID
+ */
+export function assignIds(ast) {
+  const assign = (nodes, parentId) => {
+    const counts = new Map();
+
+    nodes.forEach(node => {
+      const segment = getIdSegment(node);
+      if (!segment) return;
+
+      const count = (counts.get(segment) || 0) + 1;
+      counts.set(segment, count);
+
+      const ownSegment = count > 1 ? `${segment}#${count}` : segment;
+      node.id = parentId ? `${parentId}${ID_SEPARATOR}${ownSegment}` : ownSegment;
+      assign(getChildNodes(node), node.id);
+    });
+  };
+
+  const body = ast?.body || [];
+  const apps = body.filter(node => node.type === 'app');
+  assign(apps, null);
+
+  const appIds = new Map();
+  apps.forEach(app => {
+    if (!appIds.has(app.name)) appIds.set(app.name, app.id);
+  });
+
+  const declarationsByParent = new Map();
+  body.filter(node => node.type !== 'app').forEach(node => {
+    const parentId = appIds.get(node.app) ?? null;
+    declarationsByParent.set(parentId, [...(declarationsByParent.get(parentId) || []), node]);
+  });
+  declarationsByParent.forEach((nodes, parentId) => assign(nodes, parentId));
+
+  return ast;
+}
@@ -0,0 +1,161 @@
+/**
+ * APML JSON
+ * Export of a parsed spec as versioned JSON (see apmlJsonSchema.js) and the
+ * checks an imported file passes before its AST is printed back to APML and
+ * parsed like pasted text
+ */
+
+import { APMLProject } from './APMLProject.js';
+import { createDiagnostic, SEVERITY } from './APMLDiagnostics.js';
+import { APML_SPEC_VERSION } from './APMLGrammar.js';
+import { assignIds } from './apmlIds.js';
+import { APML_JSON_FORMAT, APML_JSON_SCHEMA, APML_JSON_VERSION } from './apmlJsonSchema.js';
+import { assignApps } from './apmlWorkspace.js';
+
+// Schema errors reported for one import before the rest are summarised
+const MAX_SCHEMA_ERRORS = 20;
+
+/**
+ * The JSON document for a parsed spec: its sources parsed again without
+ * linking (so `use` elements stay as written), with stable IDs, plus the
+ * derived model from the store
+ */
+export function createSpecJson(spec) {
+  const files = spec.project?.files || { 'main.apml': spec.rawContent || '' };
+  const project = new APMLProject(files, spec.project?.entry || null);
+  const { ast, files: loadedFiles } = project.resolve({ link: false });
+  assignIds(assignApps(ast));
+
+  return {
+    $schema: APML_JSON_SCHEMA.$id,
+    format: APML_JSON_FORMAT,
+    version: APML_JSON_VERSION,
+    apmlSpecificationVersion: spec.app?.specVersion || APML_SPEC_VERSION,
+    exportedAt: new Date().toISOString(),
+    source: { entry: project.entry, files: loadedFiles },
+    ast,
+    // Everything but `apps` and `appLinks` describes the app selected in the workspace
+    model: {
+      apps: spec.workspace?.apps || [],
+      appLinks: spec.workspace?.links || [],
+      app: spec.app ? {
+        id: spec.app.node.id,
+        name: spec.app.name,
+        title: spec.app.title,
+        description: spec.app.description,
+        version: spec.app.version,
+        specVersion: spec.app.specVersion,
+        metadata: spec.app.metadata
+      } : null,
+      styles: spec.app?.theme || null,
+      dataModels: (spec.dataModels || []).map(model => ({ id: model.node.id, name: model.name, fields: model.fields })),
+      components: (spec.components || []).map(({ node, ...component }) => ({ id: node.id, ...component })),
+      interfaces: (spec.stateNodes || []).map(node => ({
+        id: node.id,
+        name: node.interfaceName,
+        role: node.role,
+        screenType: node.screenType,
+        actions: node.availableActions
+      })),
+      logicFlows: (spec.parsedFlows || []).map(({ statements, ...flow }) => flow),
+      messageFlows: spec.messageFlows || []
+    }
+  };
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function resolveRef(ref) {
+  return APML_JSON_SCHEMA.$defs[ref.replace('#/$defs/', '')];
+}
+
+/**
+ * Check a value against the subset of JSON Schema the APML schema uses
+ * ($ref, type, const, enum, required, properties, items, oneOf). Returns
+ * [{ path, message }]
+ */
+export function validateAgainstSchema(value, schema = APML_JSON_SCHEMA, path = '$') {
+  if (schema.$ref) return validateAgainstSchema(value, resolveRef(schema.$ref), path);
+
+  if (schema.oneOf) {
+    // Prefer the branch whose `type` tag matches, for a precise error
+    const branches = schema.oneOf.map(branch => (branch.$ref ? resolveRef(branch.$ref) : branch));
+    const tagged = value?.type !== undefined && branches.find(branch => branch.properties?.type?.const === value.type);
+    if (tagged) return validateAgainstSchema(value, tagged, path);
+    if (branches.some(branch => validateAgainstSchema(value, branch, path).length === 0)) return [];
+
+    const tags = branches.map(branch => branch.properties?.type?.const || branch.type).filter(Boolean);
+    return [{ path, message: `expected one of ${tags.join(', ')}` }];
+  }
+
+  const actual = typeOf(value);
+  if (schema.type) {
+    const allowed = [].concat(schema.type);
+    const matches = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+    if (!matches) return [{ path, message: `expected ${allowed.join(' or ')} but found ${actual}` }];
+  }
+  if ('const' in schema && value !== schema.const) {
+    return [{ path, message: `expected ${JSON.stringify(schema.const)} but found ${JSON.stringify(value)}` }];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path, message: `expected one of ${schema.enum.join(', ')} but found ${JSON.stringify(value)}` }];
+  }
+
+  const errors = [];
+
+  if (actual === 'object') {
+    (schema.required || []).filter(key => !(key in value)).forEach(key => {
+      errors.push({ path, message: `missing "${key}"` });
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (key in value) errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+    });
+  }
+
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`)));
+  }
+
+  return errors;
+}
+
+/**
+ * Read an exported JSON document. Returns { ast, diagnostics }; the AST is null
+ * when the document cannot be imported
+ */
+export function readSpecJson(text) {
+  const fail = (code, message) => ({ ast: null, diagnostics: [createDiagnostic(SEVERITY.ERROR, code, message)] });
+
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    return fail('invalid-json', `Not valid JSON: ${error.message}`);
+  }
+
+  if (json?.format !== APML_JSON_FORMAT) {
+    return fail('invalid-json', `Expected an "${APML_JSON_FORMAT}" document but found format ${JSON.stringify(json?.format)}`);
+  }
+  if (json.version !== APML_JSON_VERSION) {
+    return fail('unsupported-json-version',
+      `APML JSON version ${json.version} is not supported (this visualiser reads version ${APML_JSON_VERSION})`);
+  }
+
+  const errors = validateAgainstSchema(json);
+  if (errors.length > 0) {
+    const diagnostics = errors.slice(0, MAX_SCHEMA_ERRORS)
+      .map(({ path, message }) => createDiagnostic(SEVERITY.ERROR, 'invalid-json', `${path}: ${message}`));
+    if (errors.length > MAX_SCHEMA_ERRORS) {
+      diagnostics.push(createDiagnostic(SEVERITY.ERROR, 'invalid-json',
+        `...and ${errors.length - MAX_SCHEMA_ERRORS} more schema errors`));
+    }
+    return { ast: null, diagnostics };
+  }
+
+  return { ast: json.ast, diagnostics: [] };
+}
@@ -0,0 +1,228 @@
+/**
+ * APML JSON Schema
+ * JSON Schema (draft 2020-12) for the versioned JSON form of a parsed APML
+ * document. `ast` is the document as parsed, before linking, and is what an
+ * import reads; `model` holds the linked, derived views (interfaces, data
+ * models, flows, styles) for tools that only read. A version bump means the
+ * AST changed incompatibly.
+ */
+
+export const APML_JSON_FORMAT = 'apml-ast';
+export const APML_JSON_VERSION = 1;
+
+const nullableString = { type: ['string', 'null'] };
+const list = ref => ({ type: 'array', items: { $ref: `#/$defs/${ref}` } });
+
+// Comments above a node, and at the end of the block it opens
+const trivia = { leadingComments: list('comment'), trailingComments: list('comment') };
+
+const node = (type, properties, required = []) => ({
+  type: 'object',
+  required: ['type', ...required, 'loc'],
+  properties: { type: { const: type }, ...properties, ...trivia, loc: { $ref: '#/$defs/loc' } }
+});
+
+export const APML_JSON_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: 'apml-ast.schema.json',
+  title: 'APML document',
+  description: 'A parsed APML specification. `ast` round-trips to APML text; `model` is derived and ignored on import.',
+  type: 'object',
+  required: ['format', 'version', 'ast'],
+  properties: {
+    $schema: { type: 'string' },
+    format: { const: APML_JSON_FORMAT },
+    version: { const: APML_JSON_VERSION },
+    apmlSpecificationVersion: { type: 'string' },
+    exportedAt: { type: 'string' },
+    source: {
+      type: 'object',
+      properties: {
+        entry: { type: 'string' },
+        files: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    ast: { $ref: '#/$defs/document' },
+    model: { $ref: '#/$defs/model' }
+  },
+  $defs: {
+    loc: {
+      type: 'object',
+      required: ['line', 'column'],
+      properties: {
+        line: { type: 'integer' },
+        column: { type: 'integer' },
+        file: { type: 'string' }
+      }
+    },
+    id: {
+      description: 'Stable node ID derived from the definition path, e.g. interface:dashboard/show:header',
+      type: 'string'
+    },
+    document: {
+      type: 'object',
+      required: ['type', 'body'],
+      properties: {
+        type: { const: 'document' },
+        body: { type: 'array', items: { $ref: '#/$defs/declaration' } },
+        trailingComments: list('comment')
+      }
+    },
+    comment: {
+      type: 'object',
+      required: ['type', 'text', 'loc'],
+      properties: { type: { const: 'comment' }, text: { type: 'string' }, loc: { $ref: '#/$defs/loc' } }
+    },
+    declaration: {
+      oneOf: ['import', 'app', 'data', 'component', 'interface', 'logic', 'scene', 'block']
+        .map(type => ({ $ref: `#/$defs/${type}` }))
+    },
+    blockScalar: {
+      description: 'A value written as a YAML-style block scalar; `value` holds its text, `lines` the lines as written',
+      type: 'object',
+      required: ['header', 'style', 'chomping', 'lines'],
+      properties: {
+        header: { type: 'string' },
+        style: { enum: ['literal', 'folded'] },
+        chomping: { enum: ['clip', 'strip', 'keep'] },
+        indentation: { type: ['integer', 'null'] },
+        lines: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    property: node('property', {
+      key: { type: 'string' },
+      value: nullableString,
+      block: { $ref: '#/$defs/blockScalar' },
+      children: list('property')
+    }, ['key']),
+    import: node('import', { path: { type: 'string' } }, ['path']),
+    app: node('app', {
+      name: { type: 'string' },
+      metadata: { type: 'object' },
+      theme: { type: ['object', 'null'] },
+      properties: list('property')
+    }, ['name', 'properties']),
+    data: node('data', { name: { type: 'string' }, fields: list('field') }, ['name', 'fields']),
+    field: node('field', {
+      name: { type: 'string' },
+      value: { type: 'string' },
+      block: { $ref: '#/$defs/blockScalar' },
+      descriptor: { type: 'object' },
+      children: list('property')
+    }, ['name', 'value']),
+    component: node('component', {
+      name: { type: 'string' },
+      params: { type: 'array', items: { $ref: '#/$defs/param' } },
+      slots: { type: 'array', items: { type: 'string' } },
+      elements: list('element')
+    }, ['name', 'params', 'elements']),
+    param: {
+      type: 'object',
+      properties: {
+        name: nullableString,
+        default: nullableString,
+        required: { type: 'boolean' },
+        text: { type: 'string' }
+      }
+    },
+    interface: node('interface', {
+      name: { type: 'string' },
+      properties: list('property'),
+      shows: list('element')
+    }, ['name', 'properties', 'shows']),
+    element: {
+      oneOf: ['show', 'uiElement', 'slot', 'use', 'forEach'].map(type => ({ $ref: `#/$defs/${type}` }))
+    },
+    show: node('show', {
+      name: { type: 'string' },
+      value: nullableString,
+      elements: list('element')
+    }, ['name', 'elements']),
+    uiElement: node('element', {
+      name: { type: 'string' },
+      value: nullableString,
+      block: { $ref: '#/$defs/blockScalar' },
+      query: { type: ['object', 'null'] },
+      children: list('element')
+    }, ['name']),
+    slot: node('slot', { name: { type: 'string' }, elements: list('element') }, ['name', 'elements']),
+    use: node('use', {
+      component: { type: 'string' },
+      alias: nullableString,
+      text: { type: 'string' },
+      args: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['value', 'text'],
+          properties: { name: nullableString, value: { type: 'string' }, text: { type: 'string' } }
+        }
+      },
+      fills: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name', 'text', 'elements'],
+          properties: { name: { type: 'string' }, text: { type: 'string' }, elements: list('element') }
+        }
+      }
+    }, ['component', 'text', 'args', 'fills']),
+    forEach: node('for_each', {
+      variable: { type: 'string' },
+      queryText: { type: 'string' },
+      query: { type: 'object' },
+      elements: list('element')
+    }, ['variable', 'queryText', 'elements']),
+    logic: node('logic', { name: { type: 'string' }, processes: list('process') }, ['name', 'processes']),
+    process: node('process', {
+      name: { type: 'string' },
+      trigger: { oneOf: [{ type: 'null' }, { $ref: '#/$defs/trigger' }] },
+      statements: list('statement')
+    }, ['name', 'statements']),
+    trigger: node('trigger', {
+      kind: { enum: ['click', 'hover', 'focus', 'input', 'lifecycle', 'data', 'condition', 'custom'] },
+      text: { type: 'string' }
+    }, ['kind', 'text']),
+    statement: node('statement', {
+      kind: { type: 'string' },
+      text: { type: 'string' },
+      children: list('statement'),
+      alternate: { oneOf: [{ type: 'null' }, list('statement')] },
+      elseComments: { type: 'object', properties: trivia }
+    }, ['kind', 'text', 'children']),
+    scene: node('scene', {
+      keyword: { enum: ['scene', 'journey'] },
+      name: { type: 'string' },
+      description: nullableString,
+      path: list('sceneStep'),
+      includes: list('sceneStep')
+    }, ['keyword', 'name', 'path', 'includes']),
+    sceneStep: {
+      type: 'object',
+      required: ['name'],
+      properties: { name: { type: 'string' }, ...trivia, loc: { $ref: '#/$defs/loc' } }
+    },
+    block: node('block', {
+      keyword: { type: 'string' },
+      name: nullableString,
+      value: nullableString,
+      properties: list('property')
+    }, ['keyword', 'properties']),
+    model: {
+      type: 'object',
+      properties: {
+        apps: { type: 'array', items: { type: 'object' } },
+        appLinks: { type: 'array', items: { type: 'object' } },
+        app: { type: ['object', 'null'] },
+        styles: { type: ['object', 'null'] },
+        dataModels: { type: 'array', items: { type: 'object' } },
+        components: { type: 'array', items: { type: 'object' } },
+        interfaces: { type: 'array', items: { type: 'object' } },
+        logicFlows: { type: 'array', items: { type: 'object' } },
+        messageFlows: { type: 'array', items: { type: 'object' } }
+      }
+    }
+  }
+};
+
+export default APML_JSON_SCHEMA;
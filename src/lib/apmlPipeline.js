@@ -0,0 +1,86 @@
+/**
+ * APML pipeline
+ * Parses a project, validates it and compiles the live preview in one run,
+ * timing each stage. The stores run it in a worker (apmlPipeline.worker.js)
+ * so large specs don't block the UI; the result is plain data that survives
+ * postMessage.
+ */
+
+import { buildProjectSpec } from './apmlSpec.js';
+import { createDiagnostic, SEVERITY } from './APMLDiagnostics.js';
+import { TrinityCompletenessValidator } from './TrinityCompletenessValidator.js';
+import './apmlCustomRules.js';
+import { SvelteAdvancedAPMLCompiler } from '../compiler/SvelteAdvancedAPMLCompiler.js';
+
+/**
+ * Run every stage for { files, entry, app }. A stage that throws ends the run
+ * with an internal-error diagnostic; the stages before it keep their results.
+ */
+export function runPipeline({ files, entry = null, app = null }) {
+  const timings = {};
+  const started = now();
+  const result = { spec: null, scenes: [], validation: null, compiled: null, timings };
+
+  const stage = (name, run) => {
+    const start = now();
+    try {
+      return run();
+    } finally {
+      timings[name] = now() - start;
+    }
+  };
+
+  try {
+    const { spec, scenes } = stage('parse', () => buildProjectSpec(files, entry, app));
+    result.spec = spec;
+    result.scenes = scenes;
+
+    result.validation = stage('validate', () => validateSpec(spec, scenes));
+    result.compiled = stage('compile', () => compileSpec(spec));
+  } catch (error) {
+    result.error = error.message;
+    if (result.spec) {
+      result.spec.diagnostics = [...result.spec.diagnostics, createDiagnostic(SEVERITY.ERROR, 'internal-error', error.message)];
+    }
+  }
+
+  timings.total = now() - started;
+  return result;
+}
+
+/**
+ * Trinity completeness of the whole app and of each scene on its own, with
+ * the time it was checked
+ */
+function validateSpec(spec, scenes) {
+  const validator = new TrinityCompletenessValidator();
+
+  return {
+    validatedAt: new Date().toISOString(),
+    app: validator.validateTrinityCompleteness(spec),
+    scenes: scenes.map(scene => validator.validateTrinityCompleteness({
+      ...spec,
+      stateNodes: scene.stateNodes,
+      parsedFlows: scene.logicFlows,
+      entryInterface: scene.entryInterface
+    }))
+  };
+}
+
+/**
+ * The live preview app, or the reason it could not be compiled
+ */
+function compileSpec(spec) {
+  if (spec.stateNodes.length === 0) return null;
+
+  try {
+    const { html, dataUrl } = new SvelteAdvancedAPMLCompiler().compile(spec);
+    return { html, dataUrl };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+function now() {
+  return globalThis.performance?.now() ?? Date.now();
+}
@@ -0,0 +1,18 @@
+/**
+ * APML pipeline worker
+ * Runs the parse / validate / compile pipeline off the main thread. Each
+ * request carries a run id that is echoed back, so the page can drop results
+ * of runs it has since replaced.
+ */
+
+import { runPipeline } from './apmlPipeline.js';
+
+self.onmessage = (event) => {
+  const { runId, request } = event.data;
+
+  try {
+    self.postMessage({ runId, result: runPipeline(request) });
+  } catch (error) {
+    self.postMessage({ runId, error: error.message });
+  }
+};
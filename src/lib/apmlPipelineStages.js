@@ -0,0 +1,7 @@
+/**
+ * APML pipeline stages
+ * The stages of a pipeline run, in order, as named in its timings. Kept apart
+ * from apmlPipeline.js so the page can show them without loading the pipeline.
+ */
+
+export const PIPELINE_STAGES = ['parse', 'validate', 'compile'];
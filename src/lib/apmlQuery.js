@@ -0,0 +1,387 @@
+/**
+ * APML queries
+ * The list expressions used by `for each x in ...` and list bindings:
+ * `Task[]`, `User.all()`, `Project.recent(5)`, `Task.filter(status == "done").sort(due_date desc).limit(3)`,
+ * `ValidationResult where status != "pass"`, `Interface.count`. Queries are parsed
+ * into the AST and evaluated against preview data when compiling.
+ */
+
+import { parseScalar, unquote } from './apmlAst.js';
+
+const DATE_FIELDS = ['created_at', 'updated_at', 'date', 'timestamp'];
+const COMPARISON = /^([\w.]+)\s*(==|!=|>=|<=|>|<|=|is not|is)\s*(.+)$/;
+
+/**
+ * Whether an element value is a query over a data model rather than a
+ * literal or a per-item binding
+ */
+export function isQueryExpression(text) {
+  return typeof text === 'string' && /^[A-Z]\w*(\[\]|\.\w)/.test(text.trim());
+}
+
+/**
+ * Index of the bracket that closes the one opened at `start`
+ */
+function findClosing(text, start) {
+  const open = text[start];
+  const close = open === '(' ? ')' : ']';
+  let depth = 0;
+  let quote = null;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === open) {
+      depth++;
+    } else if (char === close && --depth === 0) {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Parse a condition such as `status != "done"`, `priority >= 2`, `recently_executed`
+ * or `a and b` into { type: 'and'|'or'|'compare'|'truthy', ... }
+ */
+export function parseCondition(text) {
+  const source = text.trim();
+
+  for (const joiner of ['or', 'and']) {
+    const parts = source.split(new RegExp(`\\s+${joiner}\\s+`));
+    if (parts.length > 1) {
+      const conditions = parts.map(parseCondition);
+      const failed = conditions.find(condition => condition.error);
+      return failed || { type: joiner, conditions };
+    }
+  }
+
+  const negated = source.match(/^not\s+([\w.]+)$/);
+  if (negated) {
+    return { type: 'truthy', field: negated[1], negated: true };
+  }
+
+  if (/^[\w.]+$/.test(source)) {
+    return { type: 'truthy', field: source, negated: false };
+  }
+
+  const comparison = source.match(COMPARISON);
+  if (comparison) {
+    const operator = { '=': '==', 'is': '==', 'is not': '!=' }[comparison[2]] || comparison[2];
+    return { type: 'compare', field: comparison[1], operator, value: parseScalar(comparison[3].trim()) };
+  }
+
+  return { error: `"${source}" is not a condition` };
+}
+
+/**
+ * Turn one `.name(args)` step of a method chain into an operation
+ */
+function parseOperation(name, args) {
+  const number = args !== null && /^\d+$/.test(args.trim()) ? Number(args.trim()) : null;
+
+  switch (name) {
+    case 'all':
+      return { op: 'all' };
+    case 'recent':
+      return { op: 'recent', count: number ?? 5 };
+    case 'limit':
+    case 'take':
+    case 'top':
+      return number === null ? { error: `${name}() needs a number` } : { op: 'limit', count: number };
+    case 'first':
+      return number === null ? { op: 'first' } : { op: 'limit', count: number };
+    case 'current':
+      return { op: 'first' };
+    case 'find':
+      return args ? { op: 'find', key: args } : { error: 'find() needs an id' };
+    case 'filter':
+    case 'where': {
+      if (!args) return { error: `${name}() needs a condition` };
+      const condition = parseCondition(args);
+      return condition.error ? condition : { op: 'filter', condition };
+    }
+    case 'sort':
+    case 'sort_by':
+    case 'order_by': {
+      const sort = (args || '').trim().match(/^(\w+)(?:\s+(asc|desc))?$/);
+      return sort ? { op: 'sort', field: sort[1], direction: sort[2] || 'asc' } : { error: `${name}() needs a field` };
+    }
+    case 'count':
+      return { op: 'count' };
+    default:
+      return args === null ? { op: 'field', name } : { error: `Unknown query method "${name}()"` };
+  }
+}
+
+/**
+ * Parse trailing clauses: `where <condition>`, `sorted by <field> [asc|desc]`, `limit <n>`
+ */
+function parseClauses(text, operations) {
+  let rest = text.trim();
+
+  while (rest) {
+    const where = rest.match(/^where\s+(.+?)(?=\s+(?:sorted by|order by|limit)\s|$)/);
+    const sort = rest.match(/^(?:sorted|order) by\s+(\w+)(?:\s+(asc|desc))?/);
+    const limit = rest.match(/^limit\s+(\d+)/);
+
+    if (where) {
+      const condition = parseCondition(where[1]);
+      if (condition.error) return condition.error;
+      operations.push({ op: 'filter', condition });
+      rest = rest.slice(where[0].length).trim();
+    } else if (sort) {
+      operations.push({ op: 'sort', field: sort[1], direction: sort[2] || 'asc' });
+      rest = rest.slice(sort[0].length).trim();
+    } else if (limit) {
+      operations.push({ op: 'limit', count: Number(limit[1]) });
+      rest = rest.slice(limit[0].length).trim();
+    } else {
+      return `Unexpected "${rest}" in query`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a query into { type: 'query', text, source, operations }; source is
+ * { kind: 'model', name } | { kind: 'path', path } | { kind: 'literal', value }.
+ * Unparseable queries come back with an `error` message
+ */
+export function parseQuery(text) {
+  const source = (text || '').trim();
+  const query = { type: 'query', text: source, source: null, operations: [] };
+  let cursor = 0;
+
+  if (source.startsWith('[')) {
+    const end = findClosing(source, 0);
+    if (end === -1) return { ...query, error: 'Unclosed "[" in list' };
+    query.source = { kind: 'literal', value: parseScalar(source.slice(0, end + 1)) };
+    cursor = end + 1;
+  } else {
+    const head = source.match(/^(\w+)(\[\])?/);
+    if (!head) return { ...query, error: `"${source}" is not a query` };
+    query.source = /^[A-Z]/.test(head[1])
+      ? { kind: 'model', name: head[1] }
+      : { kind: 'path', path: head[1] };
+    cursor = head[0].length;
+  }
+
+  // Method chain: .name, .name(args) or [key]
+  while (source[cursor] === '.' || source[cursor] === '[') {
+    if (source[cursor] === '[') {
+      const end = findClosing(source, cursor);
+      if (end === -1) return { ...query, error: 'Unclosed "["' };
+      query.operations.push({ op: 'index', key: source.slice(cursor + 1, end).trim() });
+      cursor = end + 1;
+      continue;
+    }
+
+    const step = source.slice(cursor + 1).match(/^\w+/);
+    if (!step) return { ...query, error: `Expected a name after "." in "${source}"` };
+    cursor += 1 + step[0].length;
+
+    let args = null;
+    if (source[cursor] === '(') {
+      const end = findClosing(source, cursor);
+      if (end === -1) return { ...query, error: `Unclosed "(" after "${step[0]}"` };
+      args = source.slice(cursor + 1, end).trim();
+      cursor = end + 1;
+    }
+
+    // A path source keeps growing until the first method call (project.tasks.recent(3))
+    if (query.source.kind === 'path' && args === null && query.operations.length === 0 && step[0] !== 'count') {
+      query.source.path += `.${step[0]}`;
+      continue;
+    }
+
+    const operation = parseOperation(step[0], args);
+    if (operation.error) return { ...query, error: operation.error };
+    query.operations.push(operation);
+  }
+
+  const error = parseClauses(source.slice(cursor), query.operations);
+  return error ? { ...query, error } : query;
+}
+
+/**
+ * Read a dotted path from a value; `count` and `empty` work on lists
+ */
+export function getPath(value, path) {
+  return path.split('.').reduce((current, key) => {
+    if (current === null || current === undefined) return undefined;
+    if (Array.isArray(current) && key === 'count') return current.length;
+    if (Array.isArray(current) && key === 'empty') return current.length === 0;
+    return current[key];
+  }, value);
+}
+
+export function evaluateCondition(condition, item) {
+  switch (condition.type) {
+    case 'and':
+      return condition.conditions.every(inner => evaluateCondition(inner, item));
+    case 'or':
+      return condition.conditions.some(inner => evaluateCondition(inner, item));
+    case 'truthy':
+      return Boolean(getPath(item, condition.field)) !== condition.negated;
+    case 'compare': {
+      const left = getPath(item, condition.field);
+      const right = condition.value;
+      switch (condition.operator) {
+        case '==': return left == right;
+        case '!=': return left != right;
+        case '>': return left > right;
+        case '<': return left < right;
+        case '>=': return left >= right;
+        case '<=': return left <= right;
+      }
+    }
+  }
+  return false;
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return 1;
+  if (b === undefined || b === null) return -1;
+  return a < b ? -1 : 1;
+}
+
+/**
+ * A find() id or [key]: a loop variable path, or a literal
+ */
+function resolveKey(key, scope) {
+  return /^\w+(\.\w+)*$/.test(key) && key.split('.')[0] in scope ? getPath(scope, key) : parseScalar(key);
+}
+
+function applyOperation(value, operation, scope) {
+  const list = Array.isArray(value) ? value : [];
+
+  switch (operation.op) {
+    case 'all':
+      return list;
+    case 'filter':
+      return list.filter(item => evaluateCondition(operation.condition, item));
+    case 'sort': {
+      const sign = operation.direction === 'desc' ? -1 : 1;
+      return [...list].sort((a, b) => sign * compareValues(getPath(a, operation.field), getPath(b, operation.field)));
+    }
+    case 'limit':
+      return list.slice(0, operation.count);
+    case 'recent': {
+      // Newest first by the first date-like field, otherwise the last records added
+      const dateField = DATE_FIELDS.find(field => list.some(item => item?.[field] !== undefined));
+      const ordered = dateField
+        ? [...list].sort((a, b) => -compareValues(a[dateField], b[dateField]))
+        : [...list].reverse();
+      return ordered.slice(0, operation.count);
+    }
+    case 'first':
+      return list[0];
+    case 'find': {
+      const id = resolveKey(operation.key, scope);
+      return list.find(item => item?.id == id);
+    }
+    case 'index':
+      return value?.[resolveKey(operation.key, scope)];
+    case 'count':
+      return list.length;
+    case 'field':
+      if (Array.isArray(value)) {
+        return value.flatMap(item => getPath(item, operation.name) ?? []);
+      }
+      return getPath(value, operation.name);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Evaluate a parsed query. `models` maps model names to preview records and
+ * `scope` holds loop variables (project, task, ...)
+ */
+export function evaluateQuery(query, { models = {}, scope = {} } = {}) {
+  if (!query || query.error) return undefined;
+
+  let value;
+  switch (query.source.kind) {
+    case 'model':
+      value = models[query.source.name] || [];
+      break;
+    case 'path':
+      value = getPath(scope, query.source.path);
+      break;
+    default:
+      value = query.source.value;
+  }
+
+  return query.operations.reduce((current, operation) => applyOperation(current, operation, scope), value);
+}
+
+/**
+ * Resolve an element value for display: per-item bindings (`project.title`),
+ * `${project.title}` / `{project.title}` inside quoted text, model queries,
+ * or the literal itself
+ */
+export function resolveBinding(text, context = {}) {
+  if (typeof text !== 'string' || text === '') return text;
+  const scope = context.scope || {};
+  const source = text.trim();
+
+  if (/^(["']).*\1$/.test(source)) {
+    return unquote(source).replace(/\$?\{([\w.]+)\}/g, (match, path) => {
+      const value = path.split('.')[0] in scope ? getPath(scope, path) : undefined;
+      return value === undefined ? match : value;
+    });
+  }
+
+  if (/^\w+(\.\w+)*$/.test(source) && source.split('.')[0] in scope) {
+    return getPath(scope, source);
+  }
+
+  if (isQueryExpression(source)) {
+    return evaluateQuery(parseQuery(source), context);
+  }
+
+  return parseScalar(source);
+}
+
+/**
+ * The first `for each` loop in a node's show blocks and elements, or null
+ */
+export function findLoop(node) {
+  for (const child of node?.shows || node?.elements || node?.children || []) {
+    if (child.type === 'for_each') return child;
+    const nested = findLoop(child);
+    if (nested) return nested;
+  }
+  return null;
+}
+
+/**
+ * Per-item bindings inside a loop body as element name -> binding text.
+ * `project_title: project.title` binds directly; a block binds through its
+ * text / number / value / emoji property
+ */
+export function getItemBindings(loop) {
+  const bindings = new Map();
+
+  const visit = nodes => (nodes || []).forEach(node => {
+    if (node.type !== 'element') return;
+    const property = node.children.find(child => ['text', 'number', 'value', 'emoji'].includes(child.name));
+    if (node.value) {
+      bindings.set(node.name, node.value);
+    } else if (property?.value) {
+      bindings.set(node.name, property.value);
+    }
+    visit(node.children);
+  });
+
+  visit(loop?.elements);
+  return bindings;
+}
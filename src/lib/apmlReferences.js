@@ -0,0 +1,334 @@
+/**
+ * APML references
+ * Binds each user trigger (click, hover, focus, input) to the interfaces that
+ * declare its element, so flows start from the right screen even when several
+ * screens reuse an element name, and reports references to interfaces, elements,
+ * data models and fields that are not defined, suggesting the closest name
+ */
+
+import { getDeclarations, walkElements, walkStatements } from './apmlAst.js';
+import { USER_TRIGGER_KINDS } from './APMLGrammar.js';
+import { getDataModels, getFieldReference } from './apmlFields.js';
+import { getInterfaceOwners, resolveInterfaceApp } from './apmlWorkspace.js';
+
+/**
+ * The candidate closest to a name that was not found, or null when none is
+ * close enough. Case and underscores are ignored, so change_request suggests
+ * ChangeRequest
+ */
+export function suggestName(name, candidates) {
+  const normalize = text => String(text).toLowerCase().replace(/_/g, '');
+  const wanted = normalize(name);
+  const limit = Math.max(1, Math.floor(wanted.length / 3));
+  let best = null;
+  let bestDistance = Infinity;
+
+  new Set(candidates).forEach(candidate => {
+    const distance = editDistance(wanted, normalize(candidate));
+    if (distance <= limit && distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Edit distance between two strings, counting a swap of neighbouring
+ * characters (taks, titel) as one edit
+ */
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) =>
+    Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0)));
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+/**
+ * A problem about a name that is not defined; the message ends with the
+ * suggestion, if there is one
+ */
+function danglingProblem(severity, code, message, name, candidates, position) {
+  const suggestion = suggestName(name, candidates);
+
+  return {
+    severity,
+    code,
+    message: suggestion ? `${message} - did you mean "${suggestion}"?` : message,
+    suggestion,
+    ...position
+  };
+}
+
+/**
+ * Narrow a statement's position to a name inside its text
+ */
+function locateName(loc, text, name, from = 0) {
+  const isWordChar = char => /\w/.test(char || '');
+  let index = text.indexOf(name, from);
+
+  // Names are matched literally (a trigger may read "add (+) button"), as whole words
+  while (index !== -1 &&
+    ((isWordChar(name[0]) && isWordChar(text[index - 1])) ||
+      (isWordChar(name[name.length - 1]) && isWordChar(text[index + name.length])))) {
+    index = text.indexOf(name, index + 1);
+  }
+
+  if (index === -1 || !name) return { loc, text };
+  return { loc: { ...loc, column: loc.column + index }, text: name };
+}
+
+/**
+ * Names of every element declared by an interface of an app
+ */
+function getElementNames(ast, appName) {
+  const names = new Set();
+  getDeclarations(ast, 'interface').filter(iface => iface.app === appName).forEach(iface => {
+    walkElements(iface, node => {
+      if (node.type === 'element') names.add(node.name);
+    });
+  });
+  return [...names];
+}
+
+/**
+ * Whether an interface declares an element with exactly this name
+ */
+function declaresElement(iface, elementName) {
+  let found = false;
+  walkElements(iface, node => {
+    if (node.type === 'element' && node.name === elementName) found = true;
+  });
+  return found;
+}
+
+/**
+ * Names of the interfaces of an app declaring an element with exactly this name
+ */
+export function findElementOwners(ast, elementName, appName) {
+  return getDeclarations(ast, 'interface')
+    .filter(iface => iface.app === appName && declaresElement(iface, elementName))
+    .map(iface => iface.name);
+}
+
+/**
+ * Set `trigger.sources` (interface names) and `trigger.sourceApp` on every user
+ * trigger. An `on interface` qualifier wins; otherwise the element's only owner,
+ * or the owner the logic group is named after. Elements resolve within the
+ * logic's own app, and in the first other app declaring them only when it has
+ * none. Returns problems as { severity, code, message, loc, text }
+ */
+export function resolveTriggerSources(ast) {
+  const problems = [];
+  const interfaces = getDeclarations(ast, 'interface');
+  const interfaceNames = interfaces.map(iface => iface.name);
+  const interfaceOwners = getInterfaceOwners(ast);
+
+  getDeclarations(ast, 'logic').forEach(logic => {
+    logic.processes.forEach(process => {
+      const trigger = process.trigger;
+      if (!trigger || !USER_TRIGGER_KINDS.includes(trigger.kind)) return;
+
+      const text = `when ${trigger.text}`;
+      const report = (severity, code, message) => {
+        problems.push({ severity, code, message, loc: trigger.loc, text });
+      };
+      const fromApp = trigger.app || logic.app;
+
+      if (trigger.interface) {
+        trigger.sourceApp = resolveInterfaceApp(interfaceOwners, trigger.interface, fromApp);
+
+        if (!interfaceNames.includes(trigger.interface)) {
+          problems.push(danglingProblem('warning', 'unknown-interface',
+            `Process "${process.name}" is bound to "${trigger.interface}", which is not an interface`,
+            trigger.interface, interfaceNames, locateName(trigger.loc, text, trigger.interface)));
+          trigger.sources = [];
+        } else {
+          if (!findElementOwners(ast, trigger.target, trigger.sourceApp).includes(trigger.interface)) {
+            report('warning', 'element-not-in-interface',
+              `Interface "${trigger.interface}" does not declare "${trigger.target}"`);
+          }
+          trigger.sources = [trigger.interface];
+        }
+        return;
+      }
+
+      const declaring = interfaces.filter(iface => declaresElement(iface, trigger.target));
+      trigger.sourceApp = declaring.some(iface => iface.app === fromApp) ? fromApp : declaring[0]?.app ?? fromApp;
+      const owners = findElementOwners(ast, trigger.target, trigger.sourceApp);
+      trigger.sources = owners;
+
+      // Triggers may name an area or a generic target ("interacts with mockup",
+      // "touches any button") rather than a declared element, so this is a warning
+      if (owners.length === 0) {
+        problems.push(danglingProblem('warning', 'unresolved-element',
+          `No interface declares "${trigger.target}", so process "${process.name}" never runs`,
+          trigger.target, getElementNames(ast, fromApp), locateName(trigger.loc, text, trigger.target)));
+        return;
+      }
+
+      if (owners.length > 1) {
+        const named = owners.filter(owner => logic.name === owner || logic.name.startsWith(`${owner}_`));
+        if (named.length === 1) {
+          trigger.sources = named;
+          return;
+        }
+        report('warning', 'ambiguous-element',
+          `"${trigger.target}" is declared by ${owners.join(', ')} - add "on <interface>" to choose one (the process runs on all of them)`);
+      }
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * Every interface on a scene's path or in its includes must exist
+ */
+export function checkSceneReferences(ast) {
+  const interfaceNames = getDeclarations(ast, 'interface').map(iface => iface.name);
+
+  return getDeclarations(ast, 'scene').flatMap(scene =>
+    [...scene.path, ...scene.includes]
+      .filter(step => !interfaceNames.includes(step.name))
+      .map(step => danglingProblem('warning', 'unknown-interface',
+        `${scene.keyword} "${scene.name}" refers to "${step.name}", which is not an interface`,
+        step.name, interfaceNames, { loc: step.loc, text: step.name })));
+}
+
+/**
+ * Redirects to interfaces, queries and field types naming data models, and
+ * `with field: value` assignments naming model fields must all resolve
+ */
+export function checkDanglingReferences(ast) {
+  const problems = [];
+  const interfaceNames = getDeclarations(ast, 'interface').map(iface => iface.name);
+  const models = new Map(getDataModels(ast).map(model => [model.name, model]));
+  const modelNames = [...models.keys()];
+  const reported = new Set();
+
+  const unknownModel = (name, message, position) => {
+    problems.push(danglingProblem('error', 'unknown-model', message, name, modelNames, position));
+  };
+
+  getDataModels(ast).forEach(model => {
+    model.node.fields.forEach(field => {
+      const reference = getFieldReference(field.descriptor);
+      if (reference && !models.has(reference)) {
+        unknownModel(reference, `Field "${model.name}.${field.name}" refers to "${reference}", which is not a data model`,
+          { loc: field.loc, text: `${field.name}: ${field.value}` });
+      }
+    });
+  });
+
+  // Component bodies are checked where they are used; one report per source line
+  getDeclarations(ast, 'interface').forEach(iface => {
+    walkElements(iface, node => {
+      const name = node.query?.source?.kind === 'model' ? node.query.source.name : null;
+      if (!name || models.has(name)) return;
+
+      const key = `${node.loc.file || ''}:${node.loc.line}:${name}`;
+      if (reported.has(key)) return;
+      reported.add(key);
+
+      const text = node.type === 'for_each' ? `for each ${node.variable} in ${node.queryText}` : `${node.name}: ${node.value}`;
+      unknownModel(name, `"${node.query.text}" reads from "${name}", which is not a data model`, { loc: node.loc, text });
+    });
+  });
+
+  getDeclarations(ast, 'logic').forEach(logic => {
+    logic.processes.forEach(process => {
+      walkStatements(process.statements, statement => {
+        if (statement.kind === 'redirect' && !interfaceNames.includes(statement.target)) {
+          problems.push(danglingProblem('error', 'unknown-interface',
+            `Process "${process.name}" redirects to "${statement.target}", which is not an interface`,
+            statement.target, interfaceNames, locateName(statement.loc, statement.text, statement.target)));
+        }
+
+        const modelName = getStatementModel(statement);
+        if (!modelName) return;
+
+        if (models.has(modelName)) {
+          problems.push(...checkFieldAssignments(statement, models.get(modelName)));
+        } else if (statement.kind === 'create') {
+          unknownModel(modelName, `Process "${process.name}" creates "${modelName}", which is not a data model`,
+            locateName(statement.loc, statement.text, modelName));
+        }
+      });
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * The data model a create or update statement writes to. Lowercase names
+ * (create user_session, update current_task) are records, not data models
+ */
+function getStatementModel(statement) {
+  if (statement.kind === 'create') return /^[A-Z]/.test(statement.model) ? statement.model : null;
+  if (statement.kind === 'update') return statement.target.match(/^[A-Z]\w*/)?.[0] || null;
+  return null;
+}
+
+/**
+ * Fields named by `with field: value` (or `field = value`) assignments must
+ * exist on the model; any other `with` data is left alone
+ */
+function checkFieldAssignments(statement, model) {
+  if (!statement.data) return [];
+
+  const fieldNames = model.fields.map(field => field.name);
+  const dataStart = statement.text.lastIndexOf(statement.data);
+
+  return splitAssignments(statement.data)
+    .filter(({ field }) => !fieldNames.includes(field))
+    .map(({ field, offset }) => danglingProblem('error', 'unknown-field',
+      `"${model.name}" has no field "${field}"`,
+      field, fieldNames, locateName(statement.loc, statement.text, field, dataStart + offset)));
+}
+
+/**
+ * The `field: value` assignments in a comma separated list, with the offset of each
+ */
+function splitAssignments(data) {
+  const assignments = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  const add = end => {
+    const part = data.slice(start, end);
+    const match = part.match(/^\s*(\w+)\s*(?::|=(?!=))/);
+    if (match) assignments.push({ field: match[1], offset: start });
+  };
+
+  [...data].forEach((char, index) => {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if ('([{'.includes(char)) {
+      depth++;
+    } else if (')]}'.includes(char)) {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      add(index);
+      start = index + 1;
+    }
+  });
+  add(data.length);
+
+  return assignments;
+}
@@ -0,0 +1,122 @@
+/**
+ * APML interface roles
+ * What an interface is for, from its attributes:
+ *
+ *   interface splash:
+ *     entry: true          # where the app starts
+ *     type: onboarding     # auth, main, admin, onboarding or feature
+ *
+ *   interface order_placed:
+ *     terminal: true       # a journey may end here
+ *
+ * Interfaces without these attributes fall back to guesses from their names.
+ */
+
+import { getDeclarations, parseScalar } from './apmlAst.js';
+
+export const SCREEN_TYPES = ['auth', 'main', 'admin', 'onboarding', 'feature'];
+
+// Name guesses used when no interface says `entry: true`, in order of preference
+const ENTRY_NAMES = ['dashboard', 'login', 'home', 'main'];
+
+// Names of the screens a journey may end on, when an interface does not say `terminal:`
+export const TERMINAL_NAMES = ['confirmation', 'success', 'error', 'logout'];
+
+const ROLE_FLAGS = ['entry', 'terminal'];
+
+/**
+ * The roles an interface declares as { entry, terminal, type }; each is null
+ * when the attribute is missing or not valid
+ */
+export function getInterfaceRole(node) {
+  const role = { entry: null, terminal: null, type: null };
+
+  (node?.properties || []).forEach(property => {
+    const value = parseScalar(property.value ?? '');
+
+    if (ROLE_FLAGS.includes(property.key) && typeof value === 'boolean') {
+      role[property.key] = value;
+    } else if (property.key === 'type' && SCREEN_TYPES.includes(String(value).toLowerCase())) {
+      role.type = String(value).toLowerCase();
+    }
+  });
+
+  return role;
+}
+
+/**
+ * Screen type guessed from an interface name
+ */
+export function classifyScreenType(interfaceName) {
+  const name = interfaceName.toLowerCase();
+  if (name.includes('login') || name.includes('auth') || name.includes('signup')) return 'auth';
+  if (name.includes('dashboard') || name.includes('home') || name.includes('main')) return 'main';
+  if (name.includes('admin') || name.includes('settings')) return 'admin';
+  if (name.includes('onboard') || name.includes('welcome') || name.includes('tutorial')) return 'onboarding';
+  return 'feature';
+}
+
+/**
+ * Whether a state node is a screen a journey may end on; `terminal:` wins over
+ * the names given
+ */
+export function isTerminalInterface(stateNode, names = TERMINAL_NAMES) {
+  return stateNode.role?.terminal ??
+    names.some(type => stateNode.interfaceName.toLowerCase().includes(String(type).toLowerCase()));
+}
+
+/**
+ * The state node the app starts on: the one marked `entry: true`, else the
+ * first named like an entry (dashboard, login, home, main), else the first one.
+ * Interfaces marked `entry: false` are only picked when nothing else is left
+ */
+export function findEntryInterface(stateNodes) {
+  const declared = stateNodes.find(node => node.role?.entry === true);
+  if (declared) return declared;
+
+  const candidates = stateNodes.filter(node => node.role?.entry !== false);
+  for (const entryName of ENTRY_NAMES) {
+    const named = candidates.find(node => node.interfaceName.toLowerCase().includes(entryName));
+    if (named) return named;
+  }
+
+  return candidates[0] || stateNodes[0] || null;
+}
+
+/**
+ * Role attributes must have valid values, and each app may mark one entry.
+ * Returns problems as { severity, code, message, loc, text }
+ */
+export function checkInterfaceRoles(ast) {
+  const problems = [];
+  const entries = new Map();
+
+  getDeclarations(ast, 'interface').forEach(iface => {
+    iface.properties.forEach(property => {
+      const value = parseScalar(property.value ?? '');
+      const text = `${property.key}: ${property.value ?? ''}`;
+
+      if (ROLE_FLAGS.includes(property.key) && typeof value !== 'boolean') {
+        problems.push({ severity: 'warning', code: 'invalid-interface-role',
+          message: `"${property.key}" on interface "${iface.name}" must be true or false`, loc: property.loc, text });
+      } else if (property.key === 'type' && !SCREEN_TYPES.includes(String(value).toLowerCase())) {
+        problems.push({ severity: 'warning', code: 'invalid-interface-role',
+          message: `Interface "${iface.name}" has unknown type "${value}" (expected ${SCREEN_TYPES.join(', ')})`, loc: property.loc, text });
+      }
+    });
+
+    if (getInterfaceRole(iface).entry) {
+      const appName = iface.app || null;
+      const first = entries.get(appName);
+      if (first) {
+        problems.push({ severity: 'warning', code: 'duplicate-entry',
+          message: `Interface "${iface.name}" is marked as the entry, but "${first.name}" already is - the app starts on "${first.name}"`,
+          loc: iface.loc, text: `interface ${iface.name}` });
+      } else {
+        entries.set(appName, iface);
+      }
+    }
+  });
+
+  return problems;
+}
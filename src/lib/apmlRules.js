@@ -0,0 +1,317 @@
+/**
+ * APML validation rules
+ * The checks the Trinity completeness validator runs. Each rule has an id, a
+ * default severity and default options, and returns its findings for a
+ * validation context; a finding names the interface (and AST node) it is about.
+ *
+ * Rules can be switched off, given another severity or other options in the
+ * app header, and `# apml-disable rule_id` above a node suppresses that rule's
+ * findings on it:
+ *
+ *   app Shop:
+ *     validation:
+ *       orphaned_interfaces: warning
+ *       action_coverage: off
+ *       dead_ends:
+ *         allowed: [receipt, goodbye]
+ *       traps:
+ *         exits: [receipt, goodbye]
+ *       navigation_depth:
+ *         max_taps: 4
+ *
+ * Validation runs in the pipeline worker, so custom rules are listed in
+ * apmlCustomRules.js, which the pipeline imports and registers.
+ */
+
+import { SEVERITY } from './APMLDiagnostics.js';
+import { parseScalar } from './apmlAst.js';
+import { findElements } from './apmlElements.js';
+import { isTerminalInterface, TERMINAL_NAMES } from './apmlRoles.js';
+
+export const RULE_OFF = 'off';
+
+// Most taps a user should need to reach any screen from an entry point
+export const DEFAULT_TAP_BUDGET = 3;
+
+const RULE_SEVERITIES = [SEVERITY.ERROR, SEVERITY.WARNING, SEVERITY.INFO, RULE_OFF];
+
+const DISABLE_DIRECTIVE = /^#+\s*apml-disable\b(.*)$/;
+
+/**
+ * Whether every interface can be reached from the entry interface
+ */
+const reachability = {
+  id: 'reachability',
+  description: 'Every interface can be reached from the entry interface',
+  severity: SEVERITY.ERROR,
+  options: {},
+  check({ interfaces, entryInterface, appTriggeredInterfaces, findReachableInterfaces }) {
+    if (!entryInterface) {
+      return interfaces.length === 0 ? [] : [{ interface: null, fix: 'Add an entry interface' }];
+    }
+
+    const reachable = findReachableInterfaces(entryInterface.interfaceName);
+    appTriggeredInterfaces.forEach(name => findReachableInterfaces(name, reachable));
+
+    return interfaces
+      .filter(iface => !reachable.has(iface.interfaceName))
+      .map(iface => ({
+        interface: iface.interfaceName,
+        node: iface.interfaceNode,
+        fix: `Add navigation path from ${entryInterface.interfaceName} to ${iface.interfaceName}`
+      }));
+  },
+  message: findings => (findings[0].interface === null
+    ? 'No entry interface found (mark one with entry: true)'
+    : `${findings.length} interfaces are unreachable from entry point`),
+  passMessage: 'All interfaces are reachable from entry point'
+};
+
+/**
+ * Interfaces with no outgoing connections, other than the ones meant to end a
+ * journey (`terminal: true`, or named like one of the allowed end screens)
+ */
+const deadEnds = {
+  id: 'dead_ends',
+  description: 'Every interface leads somewhere, except allowed end screens',
+  severity: SEVERITY.WARNING,
+  options: { allowed: TERMINAL_NAMES },
+  check({ interfaces, graph }, { allowed }) {
+    return interfaces
+      .filter(iface => graph.get(iface.interfaceName)?.canReach.size === 0)
+      .filter(iface => !isTerminalInterface(iface, allowed))
+      .map(iface => ({
+        interface: iface.interfaceName,
+        node: iface.interfaceNode,
+        fix: `Add navigation options from ${iface.interfaceName} (back button, home button, etc.)`
+      }));
+  },
+  message: findings => `${findings.length} interfaces have no outgoing connections`,
+  passMessage: 'No problematic dead-end interfaces found'
+};
+
+/**
+ * Loops of interfaces (strongly connected groups) that never lead back to the
+ * entry interface or on to an end screen, so a user who enters one is stuck
+ */
+const traps = {
+  id: 'traps',
+  description: 'Every loop of interfaces has a way back to the entry or on to an end screen',
+  severity: SEVERITY.ERROR,
+  options: { exits: TERMINAL_NAMES },
+  check({ interfaces, graph, entryInterface, findStronglyConnectedComponents }, { exits }) {
+    // Walk the edges backwards from every exit to find the interfaces that can get out
+    const escapes = new Set();
+    const queue = interfaces
+      .filter(iface => iface === entryInterface || isTerminalInterface(iface, exits))
+      .map(iface => iface.interfaceName);
+
+    while (queue.length > 0) {
+      const name = queue.shift();
+      if (escapes.has(name)) continue;
+      escapes.add(name);
+      graph.get(name)?.reachableFrom.forEach(source => queue.push(source));
+    }
+
+    // A lone interface is only a loop when it links to itself; with no links at all it is a dead end
+    return findStronglyConnectedComponents()
+      .filter(group => group.length > 1 || graph.get(group[0]).canReach.has(group[0]))
+      .filter(group => !group.some(name => escapes.has(name)))
+      .map(group => ({
+        interface: group[0],
+        interfaces: group,
+        node: graph.get(group[0]).interface.interfaceNode,
+        fix: `Add a way out of ${group.join(', ')} back to ${entryInterface?.interfaceName || 'the entry interface'} or on to an end screen`
+      }));
+  },
+  message: findings => `${findings.length} groups of interfaces trap the user with no way back to the entry point`,
+  passMessage: 'Every loop of interfaces has a way out'
+};
+
+/**
+ * Interfaces that take more taps to reach from any entry point than the budget
+ */
+const navigationDepth = {
+  id: 'navigation_depth',
+  description: 'Every interface can be reached within the tap budget',
+  severity: SEVERITY.WARNING,
+  options: { max_taps: DEFAULT_TAP_BUDGET },
+  check({ interfaces, navigation }, { max_taps: maxTaps }) {
+    return interfaces
+      .filter(iface => navigation.depths[iface.interfaceName] > maxTaps)
+      .map(iface => ({
+        interface: iface.interfaceName,
+        node: iface.interfaceNode,
+        fix: `${iface.interfaceName} takes ${navigation.depths[iface.interfaceName]} taps to reach from ${navigation.deepestFrom[iface.interfaceName]} - link to it from a screen closer to that entry (budget: ${maxTaps})`
+      }));
+  },
+  message: findings => `${findings.length} interfaces take more taps to reach than the budget allows`,
+  passMessage: 'Every reachable interface is within the tap budget'
+};
+
+/**
+ * Interfaces nothing navigates to
+ */
+const orphanedInterfaces = {
+  id: 'orphaned_interfaces',
+  description: 'Every interface other than the entry has a way in',
+  severity: SEVERITY.ERROR,
+  options: {},
+  check({ interfaces, graph, entryInterface, appTriggeredInterfaces }) {
+    return interfaces
+      .filter(iface => graph.get(iface.interfaceName)?.reachableFrom.size === 0 &&
+        iface.interfaceName !== entryInterface?.interfaceName &&
+        !appTriggeredInterfaces.has(iface.interfaceName))
+      .map(iface => ({
+        interface: iface.interfaceName,
+        node: iface.interfaceNode,
+        fix: `Add navigation path to ${iface.interfaceName} from other interfaces`
+      }));
+  },
+  message: findings => `${findings.length} interfaces have no incoming connections`,
+  passMessage: 'No orphaned interfaces found'
+};
+
+/**
+ * Interfaces missing part of the SHOW → DO → PROCESS cycle
+ */
+const trinityCompleteness = {
+  id: 'trinity_completeness',
+  description: 'Every interface shows something, offers user actions and has logic flows',
+  severity: SEVERITY.ERROR,
+  options: {},
+  check({ interfaces, graph, logicFlows }) {
+    return interfaces.flatMap(iface => {
+      const issues = [];
+
+      if ((iface.elements || []).length === 0) {
+        issues.push('Missing SHOW elements (nothing shown on this interface)');
+      }
+      if (!(graph.get(iface.interfaceName)?.actions.size > 0)) {
+        issues.push('Missing DO actions (no user interactions defined)');
+      }
+      if (!logicFlows.some(flow => flow.fromInterface === iface.interfaceName)) {
+        issues.push('Missing PROCESS logic (no flows from this interface)');
+      }
+
+      return issues.length > 0
+        ? [{ interface: iface.interfaceName, node: iface.interfaceNode, fix: issues.map(issue => `${iface.interfaceName}: ${issue}`) }]
+        : [];
+    });
+  },
+  message: findings => `${findings.length} interfaces have incomplete Trinity flows`,
+  passMessage: 'All interfaces have complete Trinity flows'
+};
+
+/**
+ * Buttons no logic flow handles
+ */
+const actionCoverage = {
+  id: 'action_coverage',
+  description: 'Every button is handled by a logic flow',
+  severity: SEVERITY.WARNING,
+  options: {},
+  check({ interfaces, logicFlows }) {
+    return interfaces.flatMap(iface => {
+      const buttons = findElements(iface.elements, 'button');
+
+      return (iface.availableActions || [])
+        .filter(action => !logicFlows.some(flow =>
+          flow.fromInterface === iface.interfaceName &&
+          (flow.trigger === action || flow.trigger === action.replace('_button', ''))))
+        .map(action => ({
+          interface: iface.interfaceName,
+          target: `${iface.interfaceName}.${action}`,
+          node: buttons.find(button => button.action === action)?.node || iface.interfaceNode,
+          fix: `Add logic flow for ${action} in ${iface.interfaceName} interface`
+        }));
+    });
+  },
+  message: findings => `${findings.length} user actions have no corresponding logic flows`,
+  passMessage: 'All user actions have corresponding logic flows'
+};
+
+export const BUILTIN_RULES = [reachability, deadEnds, traps, navigationDepth, orphanedInterfaces, trinityCompleteness, actionCoverage];
+
+const registry = new Map(BUILTIN_RULES.map(rule => [rule.id, rule]));
+
+/**
+ * Add a rule, or replace the one with the same id. A rule is
+ * { id, description, severity, options, check(context, options), message(findings), passMessage }
+ */
+export function registerValidationRule(rule) {
+  if (!rule?.id || typeof rule.check !== 'function') {
+    throw new Error('A validation rule needs an id and a check(context, options) function');
+  }
+  if (rule.severity && !RULE_SEVERITIES.includes(rule.severity)) {
+    throw new Error(`Rule ${rule.id} has unknown severity "${rule.severity}"`);
+  }
+
+  registry.set(rule.id, {
+    severity: SEVERITY.WARNING,
+    options: {},
+    message: findings => `${findings.length} findings for ${rule.id}`,
+    passMessage: `No findings for ${rule.id}`,
+    ...rule
+  });
+}
+
+export function unregisterValidationRule(id) {
+  return registry.delete(id);
+}
+
+/**
+ * Every registered rule, built-in ones first
+ */
+export function getValidationRules() {
+  return [...registry.values()];
+}
+
+/**
+ * Read the app header's `validation:` block into { rule_id: { severity, options } }.
+ * `rule_id: warning` only sets the severity; a nested block can set `severity:`
+ * and any of the rule's options.
+ */
+export function resolveValidationConfig(appNode) {
+  const block = (appNode?.properties || []).find(property => property.key === 'validation');
+  const config = {};
+
+  (block?.children || []).forEach(property => {
+    const severity = String(parseScalar(property.value ?? '') ?? '').toLowerCase();
+    const options = {};
+    let ruleSeverity = RULE_SEVERITIES.includes(severity) ? severity : null;
+
+    property.children.forEach(child => {
+      const value = parseScalar(child.value ?? '');
+      if (child.key === 'severity') {
+        ruleSeverity = RULE_SEVERITIES.includes(String(value).toLowerCase()) ? String(value).toLowerCase() : ruleSeverity;
+      } else {
+        options[child.key] = value;
+      }
+    });
+
+    config[property.key] = { severity: ruleSeverity, options, loc: property.loc };
+  });
+
+  return config;
+}
+
+/**
+ * The rule ids suppressed on a node by `# apml-disable` comments above it or at
+ * the end of its block; a directive without ids suppresses every rule
+ */
+export function getSuppressedRules(node) {
+  const comments = [...(node?.leadingComments || []), ...(node?.trailingComments || [])];
+  const ids = new Set();
+
+  comments.forEach(comment => {
+    const match = comment.text.match(DISABLE_DIRECTIVE);
+    if (!match) return;
+
+    const listed = match[1].split(/[\s,]+/).filter(Boolean);
+    if (listed.length === 0) ids.add('*');
+    listed.forEach(id => ids.add(id));
+  });
+
+  return ids;
+}
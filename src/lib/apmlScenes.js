@@ -0,0 +1,194 @@
+/**
+ * APML scenes
+ * Groups interfaces into scenes the visualiser can switch between: the whole
+ * app, each `scene`/`journey` block (with its ordered primary path), each logic
+ * group, and each connected part of the navigation graph when the app has
+ * several. Every scene carries only its own state nodes, logic flows and
+ * message flows.
+ */
+
+import { getDeclarations } from './apmlAst.js';
+import { findEntryInterface } from './apmlRoles.js';
+
+export const MAIN_SCENE_ID = 'scene:main_flow';
+
+/**
+ * Interface -> interfaces it redirects to, from the logic flows
+ */
+function buildNavigation(logicFlows) {
+  const edges = new Map();
+
+  logicFlows.forEach(flow => {
+    if (!flow.fromInterface) return;
+    const targets = edges.get(flow.fromInterface) || new Set();
+    (flow.redirectTargets || []).forEach(target => targets.add(target));
+    edges.set(flow.fromInterface, targets);
+  });
+
+  return edges;
+}
+
+/**
+ * The scene's interface marked `entry: true`, else the one nothing else in the
+ * scene redirects to, else the first one
+ */
+function findSceneEntry(names, edges, declaredEntries = []) {
+  const declared = names.find(name => declaredEntries.includes(name));
+  if (declared) return declared;
+
+  const targets = new Set(names.flatMap(name => [...(edges.get(name) || [])].filter(target => target !== name)));
+  return names.find(name => !targets.has(name)) || names[0] || null;
+}
+
+/**
+ * Follow the first unvisited redirect from the entry to get a scene's primary path
+ */
+function walkPrimaryPath(entry, names, edges) {
+  const path = [];
+  let current = entry;
+
+  while (current && !path.includes(current)) {
+    path.push(current);
+    current = [...(edges.get(current) || [])].find(target => names.includes(target) && !path.includes(target));
+  }
+
+  return path;
+}
+
+/**
+ * Connected parts of the navigation graph, ignoring direction
+ */
+function findConnectedGroups(names, edges) {
+  const neighbours = new Map(names.map(name => [name, new Set()]));
+  edges.forEach((targets, from) => {
+    targets.forEach(to => {
+      if (!neighbours.has(from) || !neighbours.has(to)) return;
+      neighbours.get(from).add(to);
+      neighbours.get(to).add(from);
+    });
+  });
+
+  const seen = new Set();
+  const groups = [];
+  names.forEach(start => {
+    if (seen.has(start)) return;
+    const group = new Set([start]);
+    const queue = [start];
+    seen.add(start);
+    while (queue.length > 0) {
+      neighbours.get(queue.shift()).forEach(next => {
+        if (seen.has(next)) return;
+        seen.add(next);
+        group.add(next);
+        queue.push(next);
+      });
+    }
+    groups.push(names.filter(name => group.has(name)));
+  });
+
+  return groups;
+}
+
+/**
+ * All scenes for a document, the complete app flow first. Each scene is
+ * { id, sceneName, description, source, stateNodes, logicFlows, messageFlows,
+ *   primaryFlowPath, entryInterface, sceneOrder }
+ */
+export function buildScenes({ ast, stateNodes = [], logicFlows = [], messageFlows = [] }) {
+  const allNames = stateNodes.map(node => node.interfaceName);
+  const interfaceIds = new Set(stateNodes.map(node => node.id));
+  const processIds = new Set(getDeclarations(ast, 'logic').flatMap(logic => logic.processes.map(process => process.id)));
+  const edges = buildNavigation(logicFlows);
+  const declaredEntries = stateNodes.filter(node => node.role?.entry).map(node => node.interfaceName);
+
+  const scenes = [];
+  const seen = new Set();
+
+  const addScene = (id, sceneName, names, fields = {}) => {
+    const included = allNames.filter(name => names.includes(name));
+    const key = [...included].sort().join(',');
+    // Derived scenes that repeat an earlier one are dropped; named journeys always stay
+    if (included.length === 0 || (seen.has(key) && !fields.primaryFlowPath)) return;
+    seen.add(key);
+
+    const sceneNodes = stateNodes.filter(node => included.includes(node.interfaceName));
+    const sceneFlows = logicFlows.filter(flow => flow.fromInterface
+      ? included.includes(flow.fromInterface)
+      : (flow.redirectTargets || []).some(target => included.includes(target)));
+
+    // Message flows between the scene's own interfaces and processes, the app and data models
+    const sceneIds = new Set([...sceneNodes.map(node => node.id), ...sceneFlows.map(flow => flow.processId)]);
+    const belongs = nodeId => sceneIds.has(nodeId) || (!interfaceIds.has(nodeId) && !processIds.has(nodeId));
+    const sceneMessages = messageFlows.filter(flow =>
+      belongs(flow.fromNode) && belongs(flow.toNode) && (sceneIds.has(flow.fromNode) || sceneIds.has(flow.toNode)));
+
+    const entryInterface = fields.entryInterface !== undefined ? fields.entryInterface : findSceneEntry(included, edges, declaredEntries);
+
+    scenes.push({
+      id,
+      sceneName,
+      description: '',
+      source: 'app',
+      ...fields,
+      stateNodes: sceneNodes,
+      logicFlows: sceneFlows,
+      messageFlows: sceneMessages,
+      primaryFlowPath: fields.primaryFlowPath || walkPrimaryPath(entryInterface, included, edges),
+      entryInterface,
+      sceneOrder: scenes.length + 1
+    });
+  };
+
+  const mainEntry = findEntryInterface(stateNodes)?.interfaceName || null;
+  scenes.push({
+    id: MAIN_SCENE_ID,
+    sceneName: 'main_flow',
+    description: 'Complete application flow',
+    source: 'app',
+    stateNodes,
+    logicFlows,
+    messageFlows,
+    primaryFlowPath: walkPrimaryPath(mainEntry, allNames, edges),
+    entryInterface: mainEntry,
+    sceneOrder: 1
+  });
+  seen.add([...allNames].sort().join(','));
+
+  // Named journeys come first, in document order
+  getDeclarations(ast, 'scene').forEach(scene => {
+    const path = scene.path.map(step => step.name).filter(name => allNames.includes(name));
+    const names = [...path, ...scene.includes.map(step => step.name)];
+    addScene(scene.id, scene.name, names, {
+      description: scene.description || `${scene.keyword} ${scene.name}`,
+      source: scene.keyword,
+      primaryFlowPath: path,
+      entryInterface: path[0] || allNames.find(name => names.includes(name)) || null
+    });
+  });
+
+  // One scene per logic group: the screens its triggers start on and redirect to
+  getDeclarations(ast, 'logic').forEach(logic => {
+    const flows = logicFlows.filter(flow => flow.name === logic.name);
+    const names = flows.flatMap(flow => [flow.fromInterface, ...(flow.redirectTargets || [])]);
+    if (allNames.filter(name => names.includes(name)).length < 2) return;
+
+    addScene(`scene:${logic.id}`, logic.name, names, {
+      description: `Screens used by logic ${logic.name}`,
+      source: 'logic'
+    });
+  });
+
+  // Separate islands of the navigation graph
+  const groups = findConnectedGroups(allNames, edges).filter(group => group.length > 1);
+  if (groups.length > 1) {
+    groups.forEach(group => {
+      const entry = findSceneEntry(group, edges, declaredEntries);
+      addScene(`scene:graph:${entry}`, `${entry}_flow`, group, {
+        description: `Screens connected to ${entry}`,
+        source: 'graph'
+      });
+    });
+  }
+
+  return scenes;
+}
@@ -0,0 +1,203 @@
+/**
+ * APML spec
+ * Builds the spec the stores hold from APML sources: the workspace of every
+ * app in the project, and the interfaces, models, flows and scenes of the
+ * selected app. Pure functions, so the pipeline can run them in a worker.
+ */
+
+import { APMLProject } from './APMLProject.js';
+import { getDeclarations, walkStatements } from './apmlAst.js';
+import { hasErrors } from './APMLDiagnostics.js';
+import { APML_SPEC_VERSION, USER_TRIGGER_KINDS } from './APMLGrammar.js';
+import { resolveTheme } from './apmlTheme.js';
+import { resolveValidationConfig } from './apmlRules.js';
+import { getDataModels } from './apmlFields.js';
+import { getComponents } from './apmlComponents.js';
+import { buildElementTree, getElementActions } from './apmlElements.js';
+import { classifyScreenType, getInterfaceRole } from './apmlRoles.js';
+import { buildMessageFlows } from './apmlFlows.js';
+import { buildScenes } from './apmlScenes.js';
+import { findCrossAppLinks, findDefaultApp, getWorkspaceApps } from './apmlWorkspace.js';
+
+/**
+ * Parse a project ({ path: source }) from its entry file and show one of its
+ * apps: the named one while it still exists, otherwise the default app.
+ * Returns the spec fields and the scenes of that app.
+ */
+export function buildProjectSpec(files, entry = null, appName = null) {
+  const project = new APMLProject(files, entry);
+  const { ast, diagnostics, files: loadedFiles } = project.resolve();
+  const apps = getWorkspaceApps(ast);
+  const currentApp = apps.some(app => app.name === appName) ? appName : findDefaultApp(apps);
+  const { spec, scenes } = buildAppSpec(ast, currentApp);
+  
+  return {
+    spec: {
+      rawContent: project.files.get(project.entry) ?? '',
+      project: { entry: project.entry, files: Object.fromEntries(project.files), loadedFiles },
+      workspace: { ast, apps: apps.map(summarizeApp), links: findCrossAppLinks(ast) },
+      ...spec,
+      validationStatus: hasErrors(diagnostics) ? 'invalid' : 'valid',
+      diagnostics
+    },
+    scenes
+  };
+}
+
+/**
+ * One app of a workspace: its own interfaces, models, flows and scenes
+ */
+export function buildAppSpec(workspaceAst, name) {
+  const apps = getWorkspaceApps(workspaceAst);
+  const selected = apps.find(app => app.name === name) || apps[0];
+  const ast = selected.document;
+  
+  const app = extractAppHeader(ast);
+  const interfaces = extractInterfaces(ast);
+  const dataModels = getDataModels(ast);
+  const interfaceNames = interfaces.map(iface => iface.name);
+  const components = getComponents(workspaceAst).filter(component =>
+    component.node.app === selected.name || component.usedBy.some(usedBy => interfaceNames.includes(usedBy)));
+  const logicFlows = extractLogicFlows(ast);
+  
+  const stateNodes = generateStateNodes(interfaces);
+  const messageFlows = buildMessageFlows(ast);
+  const scenes = buildScenes({ ast, stateNodes, logicFlows, messageFlows });
+  
+  return {
+    spec: {
+      currentApp: selected.name,
+      ast,
+      app,
+      dataModels,
+      components,
+      parsedFlows: logicFlows,
+      stateNodes,
+      messageFlows
+    },
+    scenes
+  };
+}
+
+function extractAppHeader(ast) {
+  const node = getDeclarations(ast, 'app')[0];
+  if (!node) return null;
+  
+  const metadata = node.metadata;
+  
+  return {
+    name: node.name,
+    title: metadata.title ? String(metadata.title) : node.name,
+    description: metadata.description ? String(metadata.description) : '',
+    version: metadata.version ? String(metadata.version) : null,
+    specVersion: String(metadata.apml_specification_version || APML_SPEC_VERSION),
+    metadata,
+    theme: resolveTheme(node.theme),
+    validation: resolveValidationConfig(node),
+    node
+  };
+}
+
+function summarizeApp({ name, node, document }) {
+  return {
+    id: node?.id || null,
+    name,
+    title: node?.metadata.title ? String(node.metadata.title) : name,
+    interfaceCount: getDeclarations(document, 'interface').length
+  };
+}
+
+function extractInterfaces(ast) {
+  return getDeclarations(ast, 'interface').map(node => ({
+    name: node.name,
+    node
+  }));
+}
+
+function extractLogicFlows(ast) {
+  const flows = [];
+  
+  getDeclarations(ast, 'logic').forEach(logic => {
+    logic.processes.forEach(process => {
+      const trigger = process.trigger;
+      if (!trigger) return;
+      
+      // Clicks, hovers, focus and input changes happen on an element of an interface
+      // (bound by the parser); lifecycle, data, condition and custom triggers are app-wide
+      const elementName = USER_TRIGGER_KINDS.includes(trigger.kind) ? trigger.target : null;
+      const sources = elementName && trigger.sources?.length > 0 ? trigger.sources : [null];
+      
+      // Every screen the process can redirect to, whichever branches it takes
+      const redirectTargets = [];
+      walkStatements(process.statements, statement => {
+        if (statement.kind === 'redirect' && !redirectTargets.includes(statement.target)) {
+          redirectTargets.push(statement.target);
+        }
+      });
+      
+      // An element shared by several interfaces gives one flow per interface
+      sources.forEach(fromInterface => {
+        flows.push({
+          id: sources.length > 1 ? `${process.id}/on:${fromInterface}` : process.id,
+          processId: process.id,
+          name: logic.name,
+          processName: process.name,
+          trigger: getTriggerName(trigger),
+          triggerKind: trigger.kind,
+          triggerText: trigger.text,
+          triggerTarget: trigger.target || null,
+          triggerEvent: trigger.event || null,
+          buttonName: trigger.kind === 'click' ? trigger.target : null,  // Keep original button name for interface lookup
+          elementName,
+          fromInterface,
+          redirectTo: redirectTargets[0] || null,  // Primary destination: the first one written
+          redirectTargets,
+          statements: process.statements,
+          actionName: process.name,
+          loc: process.loc
+        });
+      });
+    });
+  });
+  
+  return flows;
+}
+
+function getTriggerName(trigger) {
+  switch (trigger.kind) {
+    case 'click':
+      return trigger.target.replace('_button', '');  // Use action name without _button
+    case 'hover':
+    case 'focus':
+    case 'input':
+      return trigger.target;
+    case 'lifecycle':
+    case 'data':
+      return `${trigger.target}_${trigger.event}`;
+    default:
+      return trigger.text.toLowerCase().replace(/[^\w]+/g, '_').replace(/^_|_$/g, '');
+  }
+}
+
+function generateStateNodes(interfaces) {
+  return interfaces.map((iface, index) => {
+    const elements = buildElementTree(iface.node);
+    const role = getInterfaceRole(iface.node);
+    
+    return {
+      id: iface.node.id,
+      interfaceName: iface.name,
+      displayContent: `${iface.name} Interface`,
+      elements,
+      availableActions: getElementActions(elements),
+      nodeType: 'app_to_user',
+      role,  // Declared entry / terminal / type, null where not given
+      screenType: role.type || classifyScreenType(iface.name),
+      sceneGroup: iface.name,
+      positionX: (index % 3) * 200,
+      positionY: Math.floor(index / 3) * 150,
+      interfaceNode: iface.node,
+      loc: iface.node.loc
+    };
+  });
+}
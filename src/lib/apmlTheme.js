@@ -0,0 +1,38 @@
+/**
+ * APML Theme
+ * Resolves the `theme:` block of an app header into the values the compilers use
+ */
+
+export const DEFAULT_THEME = {
+  primaryGradient: 'linear-gradient(135deg, #667eea 0%, #764ba2 25%, #f093fb 50%, #f5576c 75%, #4facfe 100%)',
+  glassMorphism: true,
+  animationStyle: 'cubic-bezier(0.16, 1, 0.3, 1)',
+  deviceFrame: 'iphone_12',
+  width: 390,
+  height: 844
+};
+
+/**
+ * Merge a parsed theme (snake_case keys from the spec) over the defaults
+ */
+export function resolveTheme(theme = {}) {
+  const resolved = { ...DEFAULT_THEME };
+  if (!theme) return resolved;
+
+  if (typeof theme.primary_gradient === 'string') resolved.primaryGradient = theme.primary_gradient;
+  if (typeof theme.glass_morphism === 'boolean') resolved.glassMorphism = theme.glass_morphism;
+  if (typeof theme.device_frame === 'string') resolved.deviceFrame = theme.device_frame;
+
+  // animation_style may be a named style rather than a timing function
+  if (typeof theme.animation_style === 'string' && /^(cubic-bezier|ease|linear|steps)/.test(theme.animation_style)) {
+    resolved.animationStyle = theme.animation_style;
+  }
+
+  const dimensions = String(theme.dimensions || '').match(/^(\d+)\s*x\s*(\d+)$/);
+  if (dimensions) {
+    resolved.width = Number(dimensions[1]);
+    resolved.height = Number(dimensions[2]);
+  }
+
+  return resolved;
+}
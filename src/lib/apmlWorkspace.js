@@ -0,0 +1,159 @@
+/**
+ * APML workspace
+ * A document with several `app` blocks is a workspace of applications. Each app
+ * owns the declarations after it, up to the next app (declarations before the
+ * first app belong to the first one). Apps may reuse each other's names: a
+ * reference resolves within its own app, and reaches another app's interface
+ * only when its own app does not declare that name; writing it `App.interface`
+ * makes the hop explicit. Those hops are the cross-app links.
+ */
+
+import { getDeclarations, walkStatements } from './apmlAst.js';
+import { USER_TRIGGER_KINDS } from './APMLGrammar.js';
+
+/**
+ * Set `app` (the owning app's name) on every top-level declaration
+ */
+export function assignApps(ast) {
+  const body = ast?.body || [];
+  let owner = body.find(node => node.type === 'app')?.name || null;
+
+  body.forEach(node => {
+    if (node.type === 'app') owner = node.name;
+    node.app = owner;
+  });
+
+  return ast;
+}
+
+/**
+ * The apps of a workspace as { name, node, document }, where `document` holds
+ * the app's own declarations. A document without an app is a single unnamed app
+ */
+export function getWorkspaceApps(ast) {
+  const apps = getDeclarations(ast, 'app');
+  if (apps.length === 0) return [{ name: null, node: null, document: ast }];
+
+  return apps.map(node => ({
+    name: node.name,
+    node,
+    document: {
+      type: 'document',
+      body: ast.body.filter(declaration => declaration.app === node.name),
+      loc: ast.loc
+    }
+  }));
+}
+
+/**
+ * The app a workspace opens on: the first one with interfaces
+ */
+export function findDefaultApp(apps) {
+  return (apps.find(app => getDeclarations(app.document, 'interface').length > 0) || apps[0])?.name ?? null;
+}
+
+/**
+ * The apps declaring each interface name, as a Map of name -> app names in
+ * workspace order
+ */
+export function getInterfaceOwners(ast) {
+  const owners = new Map();
+  getDeclarations(ast, 'interface').forEach(iface => {
+    owners.set(iface.name, [...(owners.get(iface.name) || []), iface.app]);
+  });
+  return owners;
+}
+
+/**
+ * The app an interface name refers to from `fromApp`: that app when it declares
+ * the name, else the first app that does, else null
+ */
+export function resolveInterfaceApp(owners, name, fromApp) {
+  const apps = owners.get(name) || [];
+  return apps.includes(fromApp) ? fromApp : apps[0] ?? null;
+}
+
+/**
+ * Qualified references (`redirect to App.screen`, `on App.screen`) must name an
+ * app that owns that interface. Returns problems as { severity, code, message, loc, text }
+ */
+export function checkAppReferences(ast) {
+  const problems = [];
+  const appNames = getDeclarations(ast, 'app').map(app => app.name);
+  const owners = getInterfaceOwners(ast);
+
+  const check = (app, target, loc, text) => {
+    if (!app) return;
+
+    if (!appNames.includes(app)) {
+      problems.push({ severity: 'warning', code: 'unknown-app',
+        message: `"${app}" is not an app in this workspace`, loc, text });
+    } else if (owners.has(target) && !owners.get(target).includes(app)) {
+      problems.push({ severity: 'warning', code: 'wrong-app',
+        message: `Interface "${target}" belongs to ${owners.get(target).join(', ')}, not ${app}`, loc, text });
+    }
+  };
+
+  getDeclarations(ast, 'logic').forEach(logic => {
+    logic.processes.forEach(process => {
+      const trigger = process.trigger;
+      if (trigger?.app) check(trigger.app, trigger.interface, trigger.loc, `when ${trigger.text}`);
+
+      walkStatements(process.statements, statement => {
+        if (statement.kind === 'redirect') check(statement.app, statement.target, statement.loc, statement.text);
+      });
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * Links between apps as { id, kind, fromApp, fromInterface, toApp, toInterface,
+ * processId, processName, loc }: a `trigger` link when a process runs on another
+ * app's interface, a `redirect` link when it opens one
+ */
+export function findCrossAppLinks(ast) {
+  const links = [];
+  const owners = getInterfaceOwners(ast);
+
+  getDeclarations(ast, 'logic').forEach(logic => {
+    logic.processes.forEach(process => {
+      const trigger = process.trigger;
+      const sources = trigger && USER_TRIGGER_KINDS.includes(trigger.kind) ? trigger.sources || [] : [];
+      const origins = sources.length > 0
+        ? sources.map(source => ({ app: trigger.sourceApp ?? logic.app, iface: source }))
+        : [{ app: logic.app, iface: null }];
+
+      const addLink = (kind, origin, toApp, toInterface, loc, index) => {
+        links.push({
+          id: `${process.id}/${kind}:${index}/from:${origin.iface || origin.app}`,
+          kind,
+          fromApp: origin.app,
+          fromInterface: origin.iface,
+          toApp,
+          toInterface,
+          processId: process.id,
+          processName: process.name,
+          loc
+        });
+      };
+
+      origins.filter(origin => origin.app !== logic.app).forEach(origin => {
+        addLink('trigger', origin, logic.app, null, trigger.loc, 1);
+      });
+
+      let index = 0;
+      walkStatements(process.statements, statement => {
+        if (statement.kind !== 'redirect' || !owners.has(statement.target)) return;
+        index++;
+        const toApp = resolveInterfaceApp(owners, statement.target, statement.app || logic.app);
+        origins.filter(origin => origin.app !== toApp).forEach(origin => {
+          addLink('redirect', origin, toApp, statement.target, statement.loc, index);
+        });
+      });
+    });
+  });
+
+  return links;
+}
@@ -1,13 +1,22 @@
-import { writable, derived } from 'svelte/store';
+import { writable, derived, get } from 'svelte/store';
+import { DEFAULT_ENTRY } from '../lib/APMLProject.js';
+import { createDiagnostic, hasErrors, SEVERITY } from '../lib/APMLDiagnostics.js';
 
 // APML Specification Store
 export const apmlSpec = writable({
   rawContent: '',
+  project: null,
+  workspace: null,  // { ast, apps, links } of every app in the document
+  currentApp: null,
+  ast: null,  // The current app's declarations
+  app: null,
+  dataModels: [],
+  components: [],
   parsedFlows: [],
   stateNodes: [],
   messageFlows: [],
   validationStatus: 'parsing',
-  parseErrors: []
+  diagnostics: []
 });
 
 // Flow Scene Store
@@ -29,7 +38,7 @@ export const validationResults = writable({
   failedPaths: 0,
   issues: [],
   unreachableStates: [],
-  metrics: {}
+  metrics: {}  // { navigation } of the app from the last pipeline run - tap depths, see TrinityCompletenessValidator
 });
 
 // Change Requests Store
@@ -46,46 +55,44 @@ export const isAuthenticated = derived(
   $state => $state.currentNode !== null
 );
 
+// Pipeline run state: whether a run is in progress and how long each stage of the last one took (ms)
+export const pipelineStatus = writable({
+  running: false,
+  runId: 0,
+  inWorker: false,
+  timings: null,
+  error: null
+});
+
+// Trinity completeness of the app and of each scene, from the last pipeline run
+export const trinityValidation = writable({ validatedAt: null, app: null, scenes: [] });
+
+// The live preview compiled by the last pipeline run: { html, dataUrl }, { error } or null
+export const compiledApp = writable(null);
+
 // APML Parser Functions
 export const apmlStore = {
-  parseAPML: (content) => {
-    try {
-      // Simple APML parser for demonstration
-      const interfaces = extractInterfaces(content);
-      const dataModels = extractDataModels(content);
-      const logicFlows = extractLogicFlows(content);
-      
-      const stateNodes = generateStateNodes(interfaces);
-      const messageFlows = generateMessageFlows(logicFlows);
-      const scenes = groupIntoScenes(stateNodes, messageFlows);
-      
-      apmlSpec.update(spec => ({
-        ...spec,
-        rawContent: content,
-        parsedFlows: logicFlows,
-        stateNodes,
-        messageFlows,
-        validationStatus: 'valid',
-        parseErrors: []
-      }));
-      
-      flowScenes.set(scenes);
-      
-      return true;
-    } catch (error) {
-      apmlSpec.update(spec => ({
-        ...spec,
-        validationStatus: 'invalid',
-        parseErrors: [error.message]
-      }));
-      return false;
-    }
+  parseAPML: (content) => apmlStore.parseProject({ [DEFAULT_ENTRY]: content }, DEFAULT_ENTRY),
+  
+  // Parse a multi-file project ({ path: source }) by resolving imports from the entry file,
+  // keeping the selected app across re-parses while it still exists
+  parseProject: (files, entry = null) => startPipeline({ files, entry, app: get(apmlSpec).currentApp }),
+  
+  // Show one app of the workspace: its own interfaces, models, flows and scenes
+  selectApp: (name) => {
+    const { project } = get(apmlSpec);
+    if (!project) return Promise.resolve(false);
+    return startPipeline({ files: project.files, entry: project.entry, app: name });
   },
   
+  // Run the pipeline again on the current project and app
+  recompile: () => apmlStore.selectApp(get(apmlSpec).currentApp),
+  
   addChangeRequest: (screenState, note, type = 'ui_change', priority = 'medium') => {
     const cr = {
       id: crypto.randomUUID(),
       screenState,
+      anchorId: screenState?.id || null,  // Stable node ID, survives re-parsing
       userNote: note,
       crType: type,
       priority,
@@ -102,163 +109,91 @@ export const apmlStore = {
   }
 };
 
-// Helper functions for APML parsing
-function extractInterfaces(content) {
-  const interfaces = [];
-  const interfaceRegex = /interface\s+(\w+):(.*?)(?=interface\s+\w+:|logic\s+\w+:|data\s+\w+:|$)/gs;
-  let match;
+// Parse, validate and compile run in a worker; starting a run cancels the one in
+// progress, and everyone waiting is answered with the outcome of the latest run
+let pipelineWorker = null;
+let latestRunId = 0;
+let waiting = [];
+
+function startPipeline(request) {
+  const runId = ++latestRunId;
+  const inWorker = typeof Worker !== 'undefined';
+  pipelineStatus.update(status => ({ ...status, running: true, runId, inWorker }));
+  
+  const outcome = new Promise(resolve => waiting.push(resolve));
   
-  while ((match = interfaceRegex.exec(content)) !== null) {
-    interfaces.push({
-      name: match[1],
-      definition: match[2].trim()
-    });
+  if (!inWorker) {
+    runOnPage(runId, request);
+    return outcome;
   }
   
-  return interfaces;
+  // The worker is busy with a stale run; stop it rather than wait for it
+  if (waiting.length > 1) stopPipelineWorker();
+  getPipelineWorker().postMessage({ runId, request });
+  return outcome;
 }
 
-function extractDataModels(content) {
-  const models = [];
-  const dataRegex = /data\s+(\w+):(.*?)(?=data\s+\w+:|interface\s+\w+:|logic\s+\w+:|$)/gs;
-  let match;
-  
-  while ((match = dataRegex.exec(content)) !== null) {
-    const modelName = match[1];
-    const definition = match[2].trim();
-    
-    // Parse fields from definition
-    const fields = {};
-    const fieldLines = definition.split('\n').map(line => line.trim()).filter(line => line);
-    
-    for (const line of fieldLines) {
-      if (line.includes(':')) {
-        const [fieldName, fieldType] = line.split(':').map(s => s.trim());
-        fields[fieldName] = fieldType;
-      }
-    }
-    
-    models.push({
-      name: modelName,
-      definition: definition.trim(),
-      fields: fields
-    });
+// Without workers the pipeline runs on the page; it is only loaded then, so the
+// compiler and validator stay out of the page bundle
+async function runOnPage(runId, request) {
+  try {
+    const { runPipeline } = await import('../lib/apmlPipeline.js');
+    if (runId === latestRunId) finishRun(runId, runPipeline(request));
+  } catch (error) {
+    if (runId === latestRunId) finishRun(runId, { spec: null, error: error.message });
   }
-  
-  return models;
 }
 
-function extractLogicFlows(content) {
-  const flows = [];
-  const logicRegex = /logic\s+(\w+):(.*?)(?=logic\s+\w+:|interface\s+\w+:|data\s+\w+:|$)/gs;
-  let match;
-  
-  console.log('🔍 Extracting logic flows from APML...');
-  
-  while ((match = logicRegex.exec(content)) !== null) {
-    const logicName = match[1];
-    const logicContent = match[2].trim();
+function getPipelineWorker() {
+  if (!pipelineWorker) {
+    pipelineWorker = new Worker(new URL('../lib/apmlPipeline.worker.js', import.meta.url), { type: 'module' });
     
-    console.log(`📋 Found logic block: ${logicName}`, logicContent);
-    
-    // Parse individual processes within this logic block - handle both button names and action names
-    const processRegex = /process\s+(\w+):\s*when\s+user\s+clicks\s+(\w+(?:_button)?):\s*redirect\s+to\s+(\w+)/g;
-    let processMatch;
+    pipelineWorker.onmessage = ({ data }) => {
+      if (data.runId !== latestRunId) return;  // Replaced by a newer run
+      finishRun(data.runId, data.result || { spec: null, error: data.error });
+    };
     
-    while ((processMatch = processRegex.exec(logicContent)) !== null) {
-      const buttonName = processMatch[2];
-      // Convert button name to action (remove _button suffix)
-      const actionName = buttonName.replace('_button', '');
-      
-      console.log(`🔗 Found process: ${processMatch[1]}, button: ${buttonName}, action: ${actionName}, redirect: ${processMatch[3]}`);
-      
-      flows.push({
-        name: logicName,
-        processName: processMatch[1],
-        trigger: actionName,  // Use action name without _button
-        buttonName: buttonName,  // Keep original button name for interface lookup
-        fromInterface: getInterfaceForButton(content, buttonName),
-        redirectTo: processMatch[3],
-        actionName: processMatch[1]
-      });
-    }
+    pipelineWorker.onerror = (event) => {
+      event.preventDefault();
+      stopPipelineWorker();
+      finishRun(latestRunId, { spec: null, error: event.message || 'The APML pipeline worker failed' });
+    };
   }
-  
-  console.log(`✅ Extracted ${flows.length} logic flows:`, flows);
-  return flows;
+  return pipelineWorker;
 }
 
-function getInterfaceForButton(content, buttonName) {
-  // Find which interface contains this button
-  const interfaceRegex = /interface\s+(\w+):(.*?)(?=interface\s+\w+:|logic\s+\w+:|data\s+\w+:|$)/gs;
-  let match;
+function stopPipelineWorker() {
+  pipelineWorker?.terminate();
+  pipelineWorker = null;
+}
+
+// Publish a run's results to the stores and answer everyone waiting on it
+function finishRun(runId, result) {
+  const valid = result.spec ? !hasErrors(result.spec.diagnostics) : false;
   
-  while ((match = interfaceRegex.exec(content)) !== null) {
-    const interfaceName = match[1];
-    const interfaceContent = match[2];
-    
-    if (interfaceContent.includes(buttonName)) {
-      return interfaceName;
-    }
+  if (result.spec) {
+    apmlSpec.update(spec => ({ ...spec, ...result.spec }));
+    flowScenes.set(result.scenes);
+    trinityValidation.set(result.validation || { validatedAt: null, app: null, scenes: [] });
+    validationResults.update(results => ({ ...results, metrics: result.validation?.app?.metrics || {} }));
+    compiledApp.set(result.compiled);
+  } else {
+    apmlSpec.update(spec => ({
+      ...spec,
+      validationStatus: 'invalid',
+      diagnostics: [createDiagnostic(SEVERITY.ERROR, 'internal-error', result.error)]
+    }));
   }
   
-  return null;
-}
-
-function generateStateNodes(interfaces) {
-  return interfaces.map((iface, index) => ({
-    id: crypto.randomUUID(),
-    interfaceName: iface.name,
-    displayContent: `${iface.name} Interface`,
-    availableActions: extractActionsFromInterface(iface.definition),
-    nodeType: 'app_to_user',
-    sceneGroup: iface.name,
-    positionX: (index % 3) * 200,
-    positionY: Math.floor(index / 3) * 150
+  pipelineStatus.update(status => ({
+    ...status,
+    running: false,
+    runId,
+    timings: result.timings || null,
+    error: result.error || null
   }));
-}
-
-function generateMessageFlows(logicFlows) {
-  // Simplified flow generation
-  return logicFlows.map(flow => ({
-    id: crypto.randomUUID(),
-    fromNode: null, // Would be populated with actual node references
-    toNode: null,
-    triggerMessage: flow.name,
-    flowType: 'process',
-    colorCode: '#2563eb',
-    isActive: false
-  }));
-}
-
-function groupIntoScenes(stateNodes, messageFlows) {
-  // Get the current APML spec to access parsed flows
-  let currentSpec;
-  apmlSpec.subscribe(spec => currentSpec = spec)();
-  
-  // Create a single scene containing all interfaces and their connections
-  const mainScene = {
-    id: crypto.randomUUID(),
-    sceneName: 'main_flow',
-    description: 'Complete application flow',
-    stateNodes: stateNodes,
-    logicFlows: currentSpec.parsedFlows || [],
-    primaryFlowPath: [],
-    sceneOrder: 1
-  };
   
-  return [mainScene];
+  const resolvers = waiting;
+  waiting = [];
+  resolvers.forEach(resolve => resolve(valid));
 }
-
-function extractActionsFromInterface(definition) {
-  // Simple action extraction
-  const actions = [];
-  const buttonRegex = /(\w+)_button/g;
-  let match;
-  
-  while ((match = buttonRegex.exec(definition)) !== null) {
-    actions.push(match[1]);
-  }
-  
-  return actions.length > 0 ? actions : ['click', 'navigate'];
-}
\ No newline at end of file
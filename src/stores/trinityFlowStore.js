@@ -5,10 +5,11 @@
  */
 
 import { writable, derived, get } from 'svelte/store';
+import { classifyScreenType, findEntryInterface } from '../lib/apmlRoles.js';
 
 // Current application state - the single source of truth
 export const trinityFlowState = writable({
-  currentScreen: 'dashboard',
+  currentScreen: null,  // The app's entry screen once the screen network is built
   previousScreen: null,
   activeConnection: null,
   screenHistory: [],
@@ -216,7 +217,7 @@ export const navigationController = {
         screens.set(node.interfaceName, {
           id: node.id,
           name: node.interfaceName,
-          type: this.classifyScreenType(node.interfaceName),
+          type: node.screenType || classifyScreenType(node.interfaceName),
           availableActions: node.availableActions || [],
           originalNode: node
         });
@@ -226,14 +227,20 @@ export const navigationController = {
     // Add connections from logic flows
     if (apmlSpec.parsedFlows) {
       apmlSpec.parsedFlows.forEach(flow => {
-        const connectionId = `${flow.fromInterface}->${flow.redirectTo}`;
-        connections.set(connectionId, {
-          id: connectionId,
-          from: flow.fromInterface,
-          to: flow.redirectTo,
-          trigger: flow.trigger,
-          action: flow.actionName,
-          flow: flow
+        // App-wide triggers (app loads, data events) have no source screen to connect from
+        if (!flow.fromInterface) return;
+        
+        // A branching process connects to every interface it may redirect to
+        (flow.redirectTargets || [flow.redirectTo]).filter(Boolean).forEach(redirectTo => {
+          const connectionId = `${flow.fromInterface}->${redirectTo}`;
+          connections.set(connectionId, {
+            id: connectionId,
+            from: flow.fromInterface,
+            to: redirectTo,
+            trigger: flow.trigger,
+            action: flow.actionName,
+            flow: flow
+          });
         });
       });
     }
@@ -244,19 +251,13 @@ export const navigationController = {
       initialized: true
     }));
     
+    // Start on the entry screen, unless a re-parse kept the current one
+    const entry = findEntryInterface(apmlSpec.stateNodes || []);
+    if (entry && !screens.has(get(trinityFlowState).currentScreen)) {
+      trinityFlowState.update(state => ({ ...state, currentScreen: entry.interfaceName }));
+    }
+    
     console.log(`✅ Screen network initialized: ${screens.size} screens, ${connections.size} connections`);
-  },
-  
-  /**
-   * Classify screen type for visual organization
-   */
-  classifyScreenType(screenName) {
-    const name = screenName.toLowerCase();
-    if (name.includes('login') || name.includes('auth') || name.includes('signup')) return 'auth';
-    if (name.includes('dashboard') || name.includes('home') || name.includes('main')) return 'main';
-    if (name.includes('admin') || name.includes('settings')) return 'admin';
-    if (name.includes('onboard') || name.includes('welcome') || name.includes('tutorial')) return 'onboarding';
-    return 'feature';
   }
 };
 
@@ -275,6 +276,25 @@ export const trinityActions = {
     navigationController.navigateToScreen(targetScreen, 'live_app', `button_${buttonName}`);
   },
   
+  // Called when the live app fires a non-click trigger (hover, input, app loads, data or custom event)
+  appTriggerFired(triggerName, triggerKind, currentScreen, targetScreen) {
+    if (targetScreen) {
+      navigationController.navigateToScreen(targetScreen, 'live_app', `${triggerKind}_${triggerName}`);
+      return;
+    }
+    
+    trinityFlowState.update(state => ({
+      ...state,
+      lastAction: {
+        type: 'TRIGGER_FIRED',
+        trigger: triggerName,
+        triggerKind,
+        screen: currentScreen,
+        timestamp: new Date().toISOString()
+      }
+    }));
+  },
+  
   // Called when app loads to set initial state
   appInitialized(initialScreen) {
     trinityFlowState.update(state => ({